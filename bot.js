@@ -130,6 +130,16 @@ client.on(Events.InteractionCreate, async (interaction) => {
           }
         }
       }
+    } else if (interaction.isAutocomplete()) {
+      const command = client.commands.get(interaction.commandName);
+      if (command && typeof command.handleAutocomplete === "function") {
+        try {
+          await command.handleAutocomplete(interaction);
+        } catch (error) {
+          // Autocomplete interactions can't be replied to, so just log
+          console.error(error);
+        }
+      }
     }
   } catch (error) {
     console.error(
@@ -1,30 +1,236 @@
-const { SlashCommandBuilder, ModalBuilder, TextInputBuilder, ActionRowBuilder, TextInputStyle } = require("discord.js");
+const { SlashCommandBuilder, ModalBuilder, TextInputBuilder, ActionRowBuilder, TextInputStyle, AttachmentBuilder } = require("discord.js");
 const path = require("node:path");
 const { loadFromDB, saveToDB } = require("../../db/utils");
 
 // Import functionality from split modules
 const { systemCommands, installableCommands } = require("./terminal/commands");
 const { pkgCommand, isPackageAvailable, packageDefinitions, getDownloadStatus, processDownload } = require("./terminal/pkg");
-const { resolvePath, getObjectAtPath, createFilesystem, MAX_CONTENT_LENGTH } = require("./terminal/filesystem");
+const { resolvePath, getObjectAtPath, getNodeAtPath, expandGlob, readFile, writeFile, decodeText, loadFilesystem, saveFilesystem, withFilesystemLock, MAX_CONTENT_LENGTH, MAX_BINARY_SIZE } = require("./terminal/filesystem");
+const { parseCommandLine, formatCommand, expandWord, expandWordFields, expandWords, isAssignment, expandAssignment } = require("./terminal/shell");
+const { runScript } = require("./terminal/script");
+const { loadAliases } = require("./terminal/aliases");
+const { ok, fail, toResult, formatResult } = require("./terminal/result");
+const { getSession, getEnvironment, getBuiltinVariables, READONLY_VARIABLES } = require("./terminal/session");
+const { getCompletions } = require("./terminal/completion");
+const { loadCommandHistory, addToCommandHistory, expandHistory } = require("./terminal/history");
+const { startJob, collectFinishedJobs, captureDownloadMessage } = require("./terminal/jobs");
+const { MODAL_TEXT_LENGTH, splitSections, replaceSection, buildEditorMessage, buildSectionModal } = require("./terminal/editor");
+const { loadShares, shareCommand, unshareCommand } = require("./terminal/shares");
 
 // ===== CONSTANTS =====
 const MAX_HISTORY_SIZE = 10;
 
+// Login profiles in lookup order; only the first one found runs
+const PROFILE_PATHS = (home) => [`${home}/.profile`, "/sys/os/.profile"];
+
 // ===== COMMAND HANDLING =====
 
 /**
- * Process a terminal command
+ * Process a terminal command line made of pipelines joined by "&&", "||", ";" and "&"
  * @param {string} userId - User ID
  * @param {string} commandStr - Command string to process
  * @param {Object} interaction - Discord interaction object
- * @returns {string} - Command output
+ * @param {Object} [scope] - Variables and step budget of a running script; defaults to the interactive session
+ * @returns {Promise<Object>} - { output, code } with the combined display output and the last exit code
+ */
+async function handleCommand(userId, commandStr, interaction = null, scope = null) {
+  const session = getSession(userId);
+  if (interaction?.user) session.username = interaction.user.username;
+
+  // Like a real shell, aliases only apply to lines typed at the prompt, not inside scripts
+  let aliases = {};
+  if (!scope) {
+    aliases = loadAliases(await loadFilesystem(userId));
+    scope = { variables: session.variables };
+  }
+
+  const { commands, error } = parseCommandLine(commandStr, aliases);
+  if (error) {
+    session.lastExitCode = 2;
+    return { output: error, code: 2 };
+  }
+
+  const outputs = [];
+  for (const { connector, stages, background } of commands) {
+    // A killed background job stops before its next pipeline
+    if (scope.budget?.killed) break;
+
+    // "&&" only runs after success and "||" only after failure; skipped pipelines keep the previous status
+    if (connector === "&&" && session.lastExitCode !== 0) continue;
+    if (connector === "||" && session.lastExitCode === 0) continue;
+
+    if (background) {
+      const { job, error: jobError } = startJob(userId, formatCommand(stages), (jobScope) => runPipeline(userId, stages, interaction, jobScope), scope.variables, scope.budget);
+      if (jobError) {
+        outputs.push(jobError);
+        session.lastExitCode = 1;
+        continue;
+      }
+      outputs.push(`[${job.id}] ${job.command} &`);
+      session.lastExitCode = 0;
+      continue;
+    }
+
+    const result = await runPipeline(userId, stages, interaction, scope);
+    session.lastExitCode = result.code;
+
+    const output = formatResult(result);
+    if (output) outputs.push(output);
+  }
+
+  return { output: outputs.join("\n"), code: session.lastExitCode };
+}
+
+/**
+ * Run "|" separated stages, feeding each stage's stdout into the next one's stdin
+ * @param {string} userId - User ID
+ * @param {Array} stages - Parsed pipeline stages
+ * @param {Object} interaction - Discord interaction object
+ * @param {Object} scope - Variables and step budget the pipeline runs with
+ * @returns {Promise<Object>} - Result of the pipeline: last stage's stdout and exit code, every stage's stderr
+ */
+async function runPipeline(userId, stages, interaction, scope) {
+  const variables = await buildVariables(userId, scope);
+
+  // A command made only of NAME=value words sets variables instead of running anything
+  const [firstStage] = stages;
+  if (stages.length === 1 && !firstStage.redirects.length && firstStage.words.every(isAssignment)) {
+    for (const word of firstStage.words) {
+      const { name, value } = expandAssignment(word, variables);
+      if (READONLY_VARIABLES.includes(name)) return fail(`${name}: readonly variable`);
+      scope.variables[name] = value;
+    }
+    return ok();
+  }
+
+  const stderr = [];
+  let result = ok();
+
+  for (let i = 0; i < stages.length; i++) {
+    const { words, redirects } = stages[i];
+    const userFS = await loadFilesystem(userId);
+    const matchGlob = (pattern) => expandGlob(userFS, userFS.currentDir, pattern);
+    const argv = words.flatMap((word) => expandWordFields(word, variables, matchGlob));
+    const expandedRedirects = redirects.map((redirect) => ({ op: redirect.op, target: expandWord(redirect.target, variables) }));
+    let stdin = i === 0 ? undefined : result.stdout;
+
+    // "<" replaces piped input with the content of a file
+    const inputRedirect = expandedRedirects.filter((redirect) => redirect.op === "<").pop();
+    if (inputRedirect) {
+      const { content, error } = readFile(userFS, resolvePath(userFS.currentDir, inputRedirect.target, userFS.home));
+      stdin = content;
+      if (error) {
+        result = fail(error);
+        stderr.push(result.stderr);
+        continue;
+      }
+    }
+
+    result = argv.length ? toResult(await runCommand(userId, argv, interaction, stdin, scope)) : ok();
+    result = await applyOutputRedirects(userId, expandedRedirects, result);
+    if (result.stderr) stderr.push(result.stderr);
+  }
+
+  return { stdout: result.stdout, stderr: stderr.join("\n"), code: result.code };
+}
+
+/**
+ * Collect the variables a command is expanded with
+ * @param {string} userId - User ID
+ * @param {Object} scope - Scope holding the shell or script variables
+ * @returns {Promise<Object>} - Environment, then scope variables, then built-ins such as $PWD, then $?
+ */
+async function buildVariables(userId, scope) {
+  const session = getSession(userId);
+  const userFS = await loadFilesystem(userId);
+  const env = await getEnvironment(userId);
+
+  return { ...env, ...scope.variables, ...getBuiltinVariables(userFS, session), "?": session.lastExitCode };
+}
+
+/**
+ * Write a command's output to the files named by its ">", ">>", "2>" and "2>>" redirects
+ * @param {string} userId - User ID
+ * @param {Array} redirects - Expanded redirects of the pipeline stage
+ * @param {Object} result - Command result
+ * @returns {Promise<Object>} - Result with the redirected streams emptied
+ */
+async function applyOutputRedirects(userId, redirects, result) {
+  const outputRedirects = redirects.filter((redirect) => redirect.op !== "<");
+  if (!outputRedirects.length) return result;
+  return withFilesystemLock(userId, () => writeOutputRedirects(userId, outputRedirects, result));
+}
+
+/**
+ * Write a command's output to its redirect files, once the user's filesystem lock is held
+ * @param {string} userId - User ID
+ * @param {Array} outputRedirects - Expanded output redirects of the pipeline stage
+ * @param {Object} result - Command result
+ * @returns {Promise<Object>} - Result with the redirected streams emptied
+ */
+async function writeOutputRedirects(userId, outputRedirects, result) {
+  const streams = { stdout: result.stdout, stderr: result.stderr };
+  const streamOf = (redirect) => (redirect.op.startsWith("2") ? "stderr" : "stdout");
+
+  const userFS = await loadFilesystem(userId);
+
+  for (let i = 0; i < outputRedirects.length; i++) {
+    const redirect = outputRedirects[i];
+    const stream = streamOf(redirect);
+    const fullPath = resolvePath(userFS.currentDir, redirect.target, userFS.home);
+
+    // Like a real shell, earlier redirects of the same stream are truncated and only the last one gets the output
+    const isLast = !outputRedirects.slice(i + 1).some((later) => streamOf(later) === stream);
+    const { error } = writeFile(userFS, fullPath, isLast ? streams[stream] : "", redirect.op.endsWith(">>"));
+    if (error) return fail(error);
+
+    if (isLast) streams[stream] = "";
+  }
+
+  await saveFilesystem(userId, userFS);
+  return { stdout: streams.stdout, stderr: streams.stderr, code: result.code };
+}
+
+/**
+ * Run a single command
+ * @param {string} userId - User ID
+ * @param {Array<string>} argv - Expanded command name and arguments
+ * @param {Object} interaction - Discord interaction object
+ * @param {string} [stdin] - Output of the previous pipeline stage, if any
+ * @param {Object} [scope] - Variables and step budget the command runs with, and the background job it belongs to
+ * @returns {Promise<Object|string>} - Command result, or plain output from commands that don't return one
+ */
+async function runCommand(userId, argv, interaction = null, stdin = undefined, scope = {}) {
+  const command = argv[0]?.toLowerCase() || "";
+
+  // Special case for scripts, run with "sh <file>" or by path such as "./script.sh";
+  // their commands each come back here, so a script doesn't hold the filesystem lock itself
+  if (command === "sh" || argv[0].includes("/")) {
+    return runScriptCommand(userId, argv, interaction, stdin, scope);
+  }
+  // Special case for fg, which waits for a job whose commands need the lock, and changes nothing itself
+  if (command === "fg") {
+    return systemCommands.fg.execute(userId, argv.slice(1), stdin, scope);
+  }
+
+  // Background jobs run alongside the prompt, so each command gets the filesystem to itself from load to save
+  return withFilesystemLock(userId, () => runLockedCommand(userId, argv, interaction, stdin, scope));
+}
+
+/**
+ * Run a built-in or installed command, once the user's filesystem lock is held
+ * @param {string} userId - User ID
+ * @param {Array<string>} argv - Expanded command name and arguments
+ * @param {Object} interaction - Discord interaction object
+ * @param {string} [stdin] - Output of the previous pipeline stage, if any
+ * @param {Object} scope - Variables and step budget the command runs with, and the background job it belongs to
+ * @returns {Promise<Object|string>} - Command result, or plain output from commands that don't return one
  */
-async function handleCommand(userId, commandStr, interaction = null) {
-  const parts = commandStr.match(/(".*?"|'.*?'|\S+)/g) || [];
-  const command = parts[0]?.toLowerCase() || "";
-  const args = parts.slice(1).map((arg) => arg.replace(/^[\"']|[\"']$/g, ""));
+async function runLockedCommand(userId, argv, interaction, stdin, scope) {
+  const command = argv[0].toLowerCase();
+  const args = argv.slice(1);
 
-  const userFS = await loadFromDB("user_filesystems", userId, createFilesystem());
+  const userFS = await loadFilesystem(userId);
   const sysDir = userFS.fs["/"].children.sys;
 
   let output;
@@ -35,11 +241,18 @@ async function handleCommand(userId, commandStr, interaction = null) {
   }
   // Special case for pkg command
   else if (command === "pkg") {
-    output = await pkgCommand(userId, args);
+    // Downloads started from a background job belong to it, so jobs, fg and kill can follow them
+    output = await pkgCommand(userId, args, scope.job?.downloads);
+  }
+  // Special case for share and unshare, which look up other users through the interaction
+  else if (command === "share") {
+    output = await shareCommand(interaction, userId, args);
+  } else if (command === "unshare") {
+    output = await unshareCommand(interaction, userId, args);
   }
   // Check if it's a built-in system command
   else if (systemCommands[command]) {
-    output = await systemCommands[command].execute(userId, args);
+    output = await systemCommands[command].execute(userId, args, stdin, scope);
   }
   // Otherwise check for installable commands
   else {
@@ -47,7 +260,7 @@ async function handleCommand(userId, commandStr, interaction = null) {
     const pkgFile = pkgDir[`${command}.pkg`];
 
     if (pkgFile && installableCommands[command]) {
-      output = await installableCommands[command].execute(interaction, userId, args);
+      output = await installableCommands[command].execute(interaction, userId, args, stdin);
     } else {
       const currentVersion = sysDir.children.os_version?.content || "1.0.0";
       const currentBranch = sysDir.children.os_branch?.content || "stable";
@@ -55,24 +268,93 @@ async function handleCommand(userId, commandStr, interaction = null) {
       // Check if the package exists but isn't installed
       if (packageDefinitions[command]) {
         if (isPackageAvailable(command, currentVersion, currentBranch)) {
-          output = `Command '${command}' is available but not installed. Run 'pkg install ${command}' first.`;
+          output = fail(`Command '${command}' is available but not installed. Run 'pkg install ${command}' first.`, 127);
         } else if (packageDefinitions[command][currentBranch]) {
-          output = `Command '${command}' requires ${currentBranch} version ${packageDefinitions[command][currentBranch].minVersion} or later.`;
+          output = fail(`Command '${command}' requires ${currentBranch} version ${packageDefinitions[command][currentBranch].minVersion} or later.`, 127);
         } else {
-          output = `Command '${command}' is not available on the ${currentBranch} branch.`;
+          output = fail(`Command '${command}' is not available on the ${currentBranch} branch.`, 127);
         }
       } else {
-        output = `Command not found: ${command}`;
+        output = fail(`Command not found: ${command}`, 127);
       }
     }
   }
 
-  // After any command, check if there are downloads in progress and update them
-  if (command === "pkg" && args[0] === "install") {
-    // For pkg install commands, we already handled the download state
-    return output;
+  return output;
+}
+
+/**
+ * Run a shell script from the virtual filesystem, or from piped input for a bare "sh"
+ * @param {string} userId - User ID
+ * @param {Array<string>} argv - "sh <file> [args...]" or "<path> [args...]"
+ * @param {Object} interaction - Discord interaction object
+ * @param {string} [stdin] - Piped input, used as the script when no file is given
+ * @param {Object} scope - Scope of the caller; nested scripts share its step budget
+ * @returns {Promise<Object>} - Script result
+ */
+async function runScriptCommand(userId, argv, interaction, stdin, scope) {
+  const viaSh = argv[0].toLowerCase() === "sh";
+  const scriptPath = viaSh ? argv[1] : argv[0];
+  const args = argv.slice(viaSh ? 2 : 1);
+  let source;
+
+  if (scriptPath === undefined) {
+    if (stdin === undefined) return fail("Usage: sh <script> [args...]", 2);
+    source = stdin;
+  } else {
+    const userFS = await loadFilesystem(userId);
+    const { content, error } = readFile(userFS, resolvePath(userFS.currentDir, scriptPath, userFS.home));
+    if (error) return fail(`sh: ${error}`, 127);
+    source = content;
   }
 
+  const budget = scope.budget || { steps: 0 };
+  const { output, code } = await runScript(source, {
+    name: scriptPath || "sh",
+    args,
+    budget,
+    runLine: (line, variables) => handleCommand(userId, line, interaction, { variables, budget, job: scope.job }),
+    expandWords: async (text, variables) => {
+      const userFS = await loadFilesystem(userId);
+      return expandWords(text, await buildVariables(userId, { variables }), (pattern) => expandGlob(userFS, userFS.currentDir, pattern));
+    },
+  });
+
+  return { stdout: output, stderr: "", code };
+}
+
+/**
+ * Run the user's login profile once per session, in the interactive session's variables
+ * @param {string} userId - User ID
+ * @param {Object} interaction - Discord interaction object
+ * @returns {Promise<string>} - Profile output, empty if there is no profile or it already ran
+ */
+async function runProfile(userId, interaction) {
+  const session = getSession(userId);
+  if (session.profileLoaded) return "";
+  session.profileLoaded = true;
+
+  const userFS = await loadFilesystem(userId);
+  const profilePath = PROFILE_PATHS(userFS.home).find((candidate) => getNodeAtPath(userFS, candidate)?.type === "file");
+  if (!profilePath) return "";
+
+  const { content, error } = readFile(userFS, profilePath);
+  if (error) return `profile: ${error}`;
+
+  const budget = { steps: 0 };
+  const scope = { variables: session.variables, budget };
+  const { output } = await runScript(content, {
+    name: profilePath,
+    args: [],
+    budget,
+    variables: session.variables,
+    runLine: (line) => handleCommand(userId, line, interaction, scope),
+    expandWords: async (text) => {
+      const currentFS = await loadFilesystem(userId);
+      return expandWords(text, await buildVariables(userId, scope), (pattern) => expandGlob(currentFS, currentFS.currentDir, pattern));
+    },
+  });
+
   return output;
 }
 
@@ -90,18 +372,28 @@ module.exports = {
         .addChoices(
           { name: "clear-history", value: "clear-history" },
           { name: "view-history", value: "view-history" },
-          { name: "edit-file", value: "edit-file" }
+          { name: "edit-file", value: "edit-file" },
+          { name: "upload", value: "upload" },
+          { name: "download", value: "download" }
         )
     )
     .addStringOption((option) =>
-      option.setName("arg0").setDescription("Optional argument (filename for edit-file - note: the arg0 field is used as the filename!)").setRequired(false)
+      option.setName("arg0").setDescription("Optional argument (filename for edit-file, path for upload and download)").setRequired(false)
+    )
+    .addAttachmentOption((option) => option.setName("file").setDescription("File to write into the filesystem with the upload action").setRequired(false))
+    .addStringOption((option) =>
+      option.setName("command").setDescription("Command to run directly, with suggestions as you type").setRequired(false).setAutocomplete(true)
     ),
 
   async execute(interaction) {
     const action = interaction.options.getString("action");
     const arg0 = interaction.options.getString("arg0");
+    const command = interaction.options.getString("command");
     const userId = interaction.user.id;
 
+    // Known before the filesystem is first loaded, so a new user's home directory gets their name
+    getSession(userId).username = interaction.user.username;
+
     if (action === "clear-history") {
       await saveToDB("user_histories", userId, []);
       await interaction.reply({ content: "History cleared" });
@@ -115,7 +407,7 @@ module.exports = {
     }
 
     if (action === "edit-file") {
-      const userFS = await loadFromDB("user_filesystems", userId, createFilesystem());
+      const userFS = await loadFilesystem(userId);
       const pkgDir = userFS.fs["/"].children.sys.children.pkgs.children;
 
       if (!pkgDir["edit.pkg"]) {
@@ -128,20 +420,32 @@ module.exports = {
         return;
       }
 
-      const fullPath = resolvePath(userFS.currentDir, arg0);
+      const fullPath = resolvePath(userFS.currentDir, arg0, userFS.home);
       let existingContent = "";
 
+      // Saving text over an archive or other binary file would ruin it
+      if (readFile(userFS, fullPath).binary) {
+        await interaction.reply({ content: `edit: ${fullPath} is a binary file and can't be edited.` });
+        return;
+      }
+
       try {
-        const { target, found } = getObjectAtPath(userFS, fullPath);
-        if (found && target.type === "file") {
-          existingContent = target.content || "";
-        }
+        // Files the user can't read open empty, and saving is then checked like any other write
+        existingContent = readFile(userFS, fullPath).content || "";
       } catch {}
 
       if (existingContent.length > MAX_CONTENT_LENGTH) {
         existingContent = existingContent.substring(0, MAX_CONTENT_LENGTH);
       }
 
+      // Files too long for one modal open in the sectioned editor instead
+      if (existingContent.length > MODAL_TEXT_LENGTH) {
+        const session = getSession(userId);
+        session.editor = { userId, id: (session.editor?.id || 0) + 1, path: fullPath, page: 0, section: null };
+        await interaction.reply(buildEditorMessage(session.editor, existingContent));
+        return;
+      }
+
       const modal = new ModalBuilder().setCustomId("terminal:editfile").setTitle("Edit File Command");
 
       const fileInput = new TextInputBuilder()
@@ -164,6 +468,49 @@ module.exports = {
       return;
     }
 
+    if (action === "upload") {
+      await interaction.deferReply();
+
+      try {
+        await withFilesystemLock(userId, () => handleUpload(interaction, userId, interaction.options.getAttachment("file"), arg0));
+      } catch (error) {
+        console.error("Upload error:", error);
+        await interaction.editReply({ content: "An error occurred while uploading your file" });
+      }
+      return;
+    }
+
+    if (action === "download") {
+      if (!arg0) {
+        await interaction.reply({ content: "download: No path provided! The arg0 field is required to specify the file or directory." });
+        return;
+      }
+
+      await interaction.deferReply();
+
+      try {
+        // Run as a terminal command so it shows in the history like one; "~" stays unescaped so it still expands
+        await handleTerminalInput(interaction, userId, `download ${arg0.replace(/[^\w~./+,:@%=-]/g, "\\$&")}`);
+      } catch (error) {
+        console.error("Command handling error:", error);
+        await interaction.editReply({ content: "An error occurred while processing your command" });
+      }
+      return;
+    }
+
+    // A command typed into the option runs without going through the modal
+    if (command?.trim()) {
+      await interaction.deferReply();
+
+      try {
+        await handleTerminalInput(interaction, userId, command);
+      } catch (error) {
+        console.error("Command handling error:", error);
+        await interaction.editReply({ content: "An error occurred while processing your command" });
+      }
+      return;
+    }
+
     // Default case: show command input modal
     const modal = new ModalBuilder().setCustomId("terminal:input").setTitle("Terminal Command Input");
 
@@ -175,17 +522,25 @@ module.exports = {
 
   async handleModal(interaction) {
     if (!interaction.isModalSubmit()) return;
+
+    // Sections saved from the sectioned editor update its message instead of replying
+    if (interaction.customId.startsWith("terminal:editor:")) {
+      await withFilesystemLock(interaction.user.id, () => handleEditorSave(interaction));
+      return;
+    }
+
     await interaction.deferReply();
 
     const userId = interaction.user.id;
+    getSession(userId).username = interaction.user.username;
 
     try {
       if (interaction.customId === "terminal:input") {
         // Process terminal command input
-        await handleTerminalInput(interaction, userId);
+        await handleTerminalInput(interaction, userId, interaction.fields.getTextInputValue("command"));
       } else if (interaction.customId === "terminal:editfile") {
         // Handle file editing
-        await handleFileEdit(interaction, userId);
+        await withFilesystemLock(userId, () => handleFileEdit(interaction, userId));
       } else if (interaction.customId.startsWith("edit:")) {
         // Handle external file edit
         await handleExternalFileEdit(interaction);
@@ -195,34 +550,36 @@ module.exports = {
       await interaction.editReply({ content: "An error occurred while processing your command" });
     }
   },
+
+  async handleButton(interaction) {
+    if (interaction.customId.startsWith("terminal:editor:")) {
+      await handleEditorButton(interaction);
+    }
+  },
+
+  async handleAutocomplete(interaction) {
+    const focused = interaction.options.getFocused(true);
+    if (focused.name !== "command") {
+      await interaction.respond([]);
+      return;
+    }
+
+    getSession(interaction.user.id).username = interaction.user.username;
+    const completions = await getCompletions(interaction.user.id, focused.value);
+    await interaction.respond(completions.map((completion) => ({ name: completion, value: completion })));
+  },
 };
 
 /**
- * Process terminal command input from modal
- * @param {Object} interaction - Discord interaction
+ * Process terminal command input from the modal or the command option
+ * @param {Object} interaction - Discord interaction, already deferred
  * @param {string} userId - User ID
+ * @param {string} commandInput - Command line as entered
  */
-async function handleTerminalInput(interaction, userId) {
-  let commandField = interaction.fields.getTextInputValue("command").trim();
-  const userFS = await loadFromDB("user_filesystems", userId, createFilesystem());
-
-  // Process environment variables
-  const sysDir = userFS.fs["/"].children.sys;
-  if (sysDir.children.os?.children[".def-vars"]) {
-    const defVars = sysDir.children.os.children[".def-vars"].content.split("\n").reduce((acc, line) => {
-      line = line.trim();
-      if (line.startsWith("$") && line.includes("=")) {
-        const [key, value] = line.split("=");
-        acc[key] = value;
-      }
-      return acc;
-    }, {});
-
-    Object.keys(defVars).forEach((varName) => {
-      const regex = new RegExp(`\\${varName}\\b`, "g");
-      commandField = commandField.replace(regex, defVars[varName]);
-    });
-  }
+async function handleTerminalInput(interaction, userId, commandInput) {
+  let commandField = commandInput.trim();
+  const profileOutput = await runProfile(userId, interaction);
+  const userFS = await loadFilesystem(userId);
 
   let histories = await loadFromDB("user_histories", userId, []);
   const currentDir = userFS.currentDir;
@@ -238,10 +595,9 @@ async function handleTerminalInput(interaction, userId) {
   for (const pkgName of pkgNames) {
     const downloadState = pkgModule.getDownloadStatus(userId, pkgName);
     if (downloadState && downloadState.currentStep === downloadState.steps.length - 1) {
-      const fs = await loadFromDB("user_filesystems", userId, createFilesystem());
-      const updateMsg = await pkgModule.processDownload(userId, fs, pkgName, false);
+      const updateMsg = await withFilesystemLock(userId, async () => pkgModule.processDownload(userId, await loadFilesystem(userId), pkgName, false));
       
-      if (updateMsg) {
+      if (updateMsg && !captureDownloadMessage(userId, pkgName, updateMsg)) {
         downloadMessages.push(updateMsg);
       }
     }
@@ -252,38 +608,44 @@ async function handleTerminalInput(interaction, userId) {
     histories.push(downloadMessages.join("\n"));
   }
 
-  // Add main command prompt to history
-  let promptLine = `${username}@happyphone:${currentDir}$ ${commandField}`;
-  histories.push(promptLine);
-
-  // Handle command chaining with &&
-  const chainedCommands = commandField.split(/\s*&&\s*/);
-  let success = true;
-  let outputs = [];
+  // Report background jobs that finished since the last command, like a shell does before its prompt
+  histories.push(...collectFinishedJobs(userId));
 
-  for (let i = 0; i < chainedCommands.length && success; i++) {
-    const cmd = chainedCommands[i].trim();
-    if (!cmd) continue;
+  // Output of the login profile comes before the first command after a restart
+  if (profileOutput) {
+    histories.push(profileOutput);
+  }
 
-    const output = await handleCommand(userId, cmd, interaction);
+  // Expand "!!", "!n" and "!prefix" before the line is shown, recorded and run
+  const bang = expandHistory(commandField, await loadCommandHistory(userId));
+  if (!bang.error) commandField = bang.line;
 
-    if (output) {
-      outputs.push(output);
-    }
+  // Add main command prompt to history
+  let promptLine = `${username}@happyphone:${currentDir}$ ${commandField}`;
+  histories.push(promptLine);
 
-    // Check if command failed and should break the chain
-    success = !isCommandFailed(output);
+  let output;
+  if (bang.error) {
+    output = bang.error;
+    getSession(userId).lastExitCode = 1;
+  } else {
+    await addToCommandHistory(userId, commandField);
+
+    // Run the whole line, including any "&&", "||" and ";" lists
+    ({ output } = await handleCommand(userId, commandField, interaction));
   }
 
-  // Add all outputs as a single combined entry
-  if (outputs.length > 0) {
-    histories.push(outputs.join("\n"));
+  if (output) {
+    histories.push(output);
   }
 
   // Limit history size
   histories = histories.slice(-MAX_HISTORY_SIZE);
   await saveToDB("user_histories", userId, histories);
-  await interaction.editReply({ content: `\`\`\`\n${histories.join("\n")}\n\`\`\`` });
+
+  // Files queued by download go out with this reply; later edits for download progress keep them
+  const files = getSession(userId).attachments.splice(0).map(({ name, data }) => new AttachmentBuilder(data, { name }));
+  await interaction.editReply({ content: `\`\`\`\n${histories.join("\n")}\n\`\`\``, files });
 
   // Start checking for downloads with a slight delay
   setTimeout(() => checkActiveDownloads(userId, interaction, histories), 500);
@@ -304,7 +666,7 @@ async function checkActiveDownloads(userId, interaction, histories) {
 
     // Also check for OS updates
     const updateNames = [];
-    const userFS = await loadFromDB("user_filesystems", userId, createFilesystem());
+    const userFS = await loadFilesystem(userId);
     const currentBranch = userFS.fs["/"].children.sys.children.os_branch?.content || "stable";
     const branchUpdates = Object.entries(pkgModule.osBranches)
       .filter(([branch]) => branch === currentBranch)
@@ -322,8 +684,6 @@ async function checkActiveDownloads(userId, interaction, histories) {
       const downloadState = pkgModule.getDownloadStatus(userId, pkgName);
       if (downloadState && downloadState.currentStep < downloadState.steps.length) {
         checkAgain = true;
-        // Get fresh filesystem for updating
-        const fs = await loadFromDB("user_filesystems", userId, createFilesystem());
 
         // Calculate elapsed time since last update to see if it's time for next step
         const now = Date.now();
@@ -332,17 +692,19 @@ async function checkActiveDownloads(userId, interaction, histories) {
         
         // Check if we should advance to the next step
         if (elapsed >= currentStep.wait) {
-          // Move to next step
-          downloadState.currentStep++;
+          // Move to next step, unless this is already the last one, as with small downloads that
+          // finish in a single step; processing the last step is what installs the package
+          if (downloadState.currentStep < downloadState.steps.length - 1) downloadState.currentStep++;
           downloadState.lastUpdate = now;
           
           // Save the updated download state
           pkgModule.setDownloadStatus(userId, pkgName, downloadState);
           
-          // Process the step (this will install the package if complete)
-          const updateMsg = await pkgModule.processDownload(userId, fs, pkgName, false);
+          // Process the step (this will install the package if complete), on a fresh filesystem
+          const updateMsg = await withFilesystemLock(userId, async () => pkgModule.processDownload(userId, await loadFilesystem(userId), pkgName, false));
           
-          if (updateMsg) {
+          // Progress of background jobs stays on the job until it's brought to the foreground
+          if (updateMsg && !captureDownloadMessage(userId, pkgName, updateMsg)) {
             // Check if this is the same message as the last one
             const lastMessage = histories[histories.length - 1];
             if (lastMessage !== updateMsg) {
@@ -381,21 +743,6 @@ async function checkActiveDownloads(userId, interaction, histories) {
   }
 }
 
-/**
- * Check if a command output indicates failure
- * @param {string} output - Command output text
- * @returns {boolean} - Whether command failed
- */
-function isCommandFailed(output) {
-  return (
-    output &&
-    (output.startsWith("Command not found:") ||
-      (output.startsWith("Command '") && output.includes("' is available but not installed")) ||
-      output.startsWith("pkg: Unknown") ||
-      output.includes(": No such"))
-  );
-}
-
 /**
  * Handle file edit from the main terminal:editfile modal
  * @param {Object} interaction - Discord interaction
@@ -415,58 +762,215 @@ async function handleFileEdit(interaction, userId) {
     return;
   }
 
-  const userFS = await loadFromDB("user_filesystems", userId, createFilesystem());
-  const fullPath = resolvePath(userFS.currentDir, fileNameField);
+  const userFS = await loadFilesystem(userId);
+  const fullPath = resolvePath(userFS.currentDir, fileNameField, userFS.home);
   let histories = await loadFromDB("user_histories", userId, []);
   const username = interaction.user.username;
   let promptLine = `${username}@happyphone:${userFS.currentDir}$ edit-file ${fileNameField}`;
   histories.push(promptLine);
 
-  const { parent, fileName, target, found, error } = getObjectAtPath(userFS, fullPath, true);
-  if (error) {
-    await interaction.editReply({ content: `Error: ${error}` });
+  // Create any missing directories first, then write with the usual permission checks
+  const { error } = getObjectAtPath(userFS, fullPath, true);
+  const { error: writeError } = error ? { error } : writeFile(userFS, fullPath, contentField);
+  if (writeError) {
+    await interaction.editReply({ content: `Error: ${writeError}` });
     return;
   }
 
-  if (found && target.readOnly) {
-    await interaction.editReply({ content: "Error: This file is read-only and cannot be edited." });
+  const output = `Updated file: ${fullPath}`;
+  histories.push(output);
+
+  histories = histories.slice(-MAX_HISTORY_SIZE);
+  await saveFilesystem(userId, userFS);
+  await saveToDB("user_histories", userId, histories);
+  await interaction.editReply({ content: `\`\`\`\n${histories.join("\n")}\n\`\`\`` });
+}
+
+/**
+ * Handle the upload action, writing an attached file into the filesystem
+ *
+ * Text files are stored as text, and anything else, such as an archive to unpack, as a binary file.
+ * @param {Object} interaction - Discord interaction, already deferred
+ * @param {string} userId - User ID
+ * @param {Object|null} attachment - Discord attachment from the file option
+ * @param {string|null} target - Path to write to, or a directory to put the file in; the current directory if not given
+ */
+async function handleUpload(interaction, userId, attachment, target) {
+  if (!attachment) {
+    await interaction.editReply({ content: "upload: No file attached! The file field is required to upload." });
     return;
   }
 
-  parent.children[fileName] = { type: "file", content: contentField };
-  const output = `Updated file: ${fullPath}`;
-  histories.push(output);
+  // Text takes at most 3 bytes per character, so anything larger than that and the binary limit can be refused without downloading it
+  const maxUploadSize = Math.max(MAX_CONTENT_LENGTH * 3, MAX_BINARY_SIZE);
+  if (attachment.size > maxUploadSize) {
+    await interaction.editReply({ content: `Error: File size exceeds the limit of ${maxUploadSize} bytes.` });
+    return;
+  }
+
+  const response = await fetch(attachment.url);
+  if (!response.ok) {
+    await interaction.editReply({ content: `Error: Could not download ${attachment.name} from Discord.` });
+    return;
+  }
 
+  const data = Buffer.from(await response.arrayBuffer());
+  const content = decodeText(data) ?? data;
+
+  if (typeof content === "string" && content.length > MAX_CONTENT_LENGTH) {
+    await interaction.editReply({ content: `Error: File content exceeds the limit of ${MAX_CONTENT_LENGTH} characters.` });
+    return;
+  }
+
+  const userFS = await loadFilesystem(userId);
+  let fullPath = resolvePath(userFS.currentDir, target || ".", userFS.home);
+  if (getNodeAtPath(userFS, fullPath)?.type === "directory") fullPath = path.join(fullPath, attachment.name);
+
+  const { error } = writeFile(userFS, fullPath, content);
+  if (error) {
+    await interaction.editReply({ content: `Error: ${error}` });
+    return;
+  }
+
+  let histories = await loadFromDB("user_histories", userId, []);
+  histories.push(`${interaction.user.username}@happyphone:${userFS.currentDir}$ upload ${target || attachment.name}`, `Uploaded ${attachment.name} to ${fullPath}`);
   histories = histories.slice(-MAX_HISTORY_SIZE);
-  await saveToDB("user_filesystems", userId, userFS);
+
+  await saveFilesystem(userId, userFS);
   await saveToDB("user_histories", userId, histories);
   await interaction.editReply({ content: `\`\`\`\n${histories.join("\n")}\n\`\`\`` });
 }
 
+/**
+ * Find the sectioned editor a button or modal belongs to, replying when it's no longer open
+ * @param {Object} interaction - Button or modal interaction with a "terminal:editor:<user>:<id>:<action>" custom ID
+ * @returns {Promise<Object|null>} - { editor, action }, or null after replying
+ */
+async function findEditor(interaction) {
+  const [, , ownerId, editorId, action] = interaction.customId.split(":");
+  const editor = getSession(interaction.user.id).editor;
+
+  if (ownerId !== interaction.user.id) {
+    await interaction.reply({ content: "This editor belongs to someone else.", ephemeral: true });
+    return null;
+  }
+  if (!editor || String(editor.id) !== editorId) {
+    await interaction.reply({ content: "This editor is closed. Open the file again with the edit-file action.", ephemeral: true });
+    return null;
+  }
+  return { editor, action };
+}
+
+/**
+ * Handle the Previous, Edit section and Next buttons of the sectioned editor
+ * @param {Object} interaction - Discord button interaction
+ */
+async function handleEditorButton(interaction) {
+  const found = await findEditor(interaction);
+  if (!found) return;
+  const { editor, action } = found;
+
+  const userFS = await loadFilesystem(interaction.user.id);
+  const { content, error } = readFile(userFS, editor.path);
+  if (error) {
+    await interaction.reply({ content: `Error: ${error}`, ephemeral: true });
+    return;
+  }
+
+  if (action === "edit") {
+    const { modal, section } = buildSectionModal(editor, content);
+    editor.section = section;
+    await interaction.showModal(modal);
+    return;
+  }
+
+  editor.page += action === "next" ? 1 : -1;
+  await interaction.update(buildEditorMessage(editor, content));
+}
+
+/**
+ * Handle a section saved from the sectioned editor's modal
+ * @param {Object} interaction - Discord modal interaction
+ */
+async function handleEditorSave(interaction) {
+  const found = await findEditor(interaction);
+  if (!found) return;
+  const { editor } = found;
+
+  if (!editor.section) {
+    await interaction.reply({ content: "This section was already saved.", ephemeral: true });
+    return;
+  }
+  await interaction.deferUpdate();
+
+  const userId = interaction.user.id;
+  const userFS = await loadFilesystem(userId);
+  const { content, error } = readFile(userFS, editor.path);
+  if (error) {
+    await interaction.followUp({ content: `Error: ${error}`, ephemeral: true });
+    return;
+  }
+
+  // Lines replaced by the section must still be the ones the modal was opened with
+  const current = splitSections(content)[editor.page];
+  if (!current || current.start !== editor.section.start || current.text !== editor.section.text) {
+    await interaction.followUp({ content: "Error: The file changed since this section was opened. Its current content is shown now.", ephemeral: true });
+    await interaction.editReply(buildEditorMessage(editor, content));
+    return;
+  }
+
+  const newContent = replaceSection(content, editor.section, interaction.fields.getTextInputValue("content"));
+  const { error: writeError } = writeFile(userFS, editor.path, newContent);
+  if (writeError) {
+    await interaction.followUp({ content: `Error: ${writeError}`, ephemeral: true });
+    return;
+  }
+
+  editor.section = null;
+  await saveFilesystem(userId, userFS);
+  await interaction.editReply(buildEditorMessage(editor, newContent));
+}
+
 /**
  * Handle file edit from an external edit modal
  * @param {Object} interaction - Discord interaction
  */
 async function handleExternalFileEdit(interaction) {
-  const [, originalUserId, fullPath] = interaction.customId.split(":");
+  const [, originalUserId, ...pathParts] = interaction.customId.split(":");
+  const fullPath = pathParts.join(":");
   const content = interaction.fields.getTextInputValue("content");
 
-  const userFS = await loadFromDB("user_filesystems", originalUserId, createFilesystem());
-  const { parent, fileName, target, found, error } = getObjectAtPath(userFS, fullPath);
+  // Others may only save files shared with them for writing, or within directories that are
+  const editorId = interaction.user.id;
+  if (editorId !== originalUserId) {
+    const { shared } = await loadShares(originalUserId);
+    const share = shared.find((candidate) => candidate.userId === editorId && (fullPath === candidate.path || fullPath.startsWith(`${candidate.path}/`)));
+    if (share?.access !== "write") {
+      await interaction.editReply({ content: `Error: Permission denied: ${fullPath}` });
+      return;
+    }
+  }
 
-  if (error || !found) {
-    await interaction.editReply({ content: `Error: File not found: ${fullPath}` });
+  const writeError = await withFilesystemLock(originalUserId, async () => {
+    const userFS = await loadFilesystem(originalUserId);
+    const { found, error } = getObjectAtPath(userFS, fullPath);
+    if (error || !found) return `File not found: ${fullPath}`;
+
+    const { error: writeError } = writeFile(userFS, fullPath, content);
+    if (!writeError) await saveFilesystem(originalUserId, userFS);
+    return writeError;
+  });
+  if (writeError) {
+    await interaction.editReply({ content: `Error: ${writeError}` });
     return;
   }
 
-  if (target.readOnly) {
-    await interaction.editReply({ content: "Error: This file is read-only and cannot be edited." });
+  // The owner's terminal history is their own
+  if (editorId !== originalUserId) {
+    await interaction.editReply({ content: `Updated file: ${fullPath}` });
     return;
   }
 
-  parent.children[fileName] = { type: "file", content };
-  await saveToDB("user_filesystems", originalUserId, userFS);
-
   const histories = await loadFromDB("user_histories", originalUserId, []);
   const newHistory = [...histories, `Updated file: ${fullPath}`].slice(-MAX_HISTORY_SIZE);
   await saveToDB("user_histories", originalUserId, newHistory);
@@ -0,0 +1,66 @@
+/**
+ * Command aliases, stored as "alias name='value'" lines in a dotfile so they can be edited with edit-file
+ */
+const { getObjectAtPath, writeFile } = require("./filesystem");
+const { tokenize } = require("./shell");
+
+// File holding the user's aliases, next to the default environment in /sys/os/.def-vars
+const ALIASES_PATH = "/sys/os/.aliases";
+
+// Characters an alias name may consist of
+const ALIAS_NAME_PATTERN = /^[A-Za-z0-9_.:+-]+$/;
+
+/**
+ * Read the aliases from a user's filesystem
+ * @param {Object} userFS - User's filesystem
+ * @returns {Object} - Alias values by name
+ */
+function loadAliases(userFS) {
+  const aliases = {};
+  const { target, found } = getObjectAtPath(userFS, ALIASES_PATH);
+  if (!found || target.type !== "file") return aliases;
+
+  for (const line of (target.content || "").split("\n")) {
+    const { tokens } = tokenize(line);
+    if (!tokens || tokens.length !== 2 || tokens[0].value !== "alias") continue;
+
+    const definition = tokens[1].value;
+    const separator = definition.indexOf("=");
+    if (separator > 0) aliases[definition.slice(0, separator)] = definition.slice(separator + 1);
+  }
+
+  return aliases;
+}
+
+/**
+ * Format an alias the way it is stored and listed
+ * @param {string} name - Alias name
+ * @param {string} value - Command the alias expands to
+ * @returns {string} - alias name='value'
+ */
+function formatAlias(name, value) {
+  return `alias ${name}='${value.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Write aliases back to the user's filesystem
+ * @param {Object} userFS - User's filesystem
+ * @param {Object} aliases - Alias values by name
+ * @returns {Object} - Empty object on success or { error } if the file can't be written
+ */
+function saveAliases(userFS, aliases) {
+  const content = Object.keys(aliases)
+    .sort()
+    .map((name) => formatAlias(name, aliases[name]))
+    .join("\n");
+
+  return writeFile(userFS, ALIASES_PATH, content);
+}
+
+module.exports = {
+  ALIASES_PATH,
+  ALIAS_NAME_PATTERN,
+  loadAliases,
+  saveAliases,
+  formatAlias,
+};
@@ -0,0 +1,633 @@
+/**
+ * Zip and tar archives of virtual filesystem trees, for download attachments and the tar, zip and unzip packages
+ *
+ * Entries carry Unix mode bits, so symbolic links and permissions survive extraction with unzip,
+ * tar or similar tools. Archives are binary files in the virtual filesystem, sized by their bytes.
+ */
+const path = require("node:path");
+const zlib = require("node:zlib");
+const { getSize, getFileData, decodeText, checkSpace, resolvePath, resolveLinks, getObjectAtPath, getNodeAtPath, walkTree, readFile, writeFile, timestamps, STORAGE_QUOTA_KB } = require("./filesystem");
+const { USER_UID, userOwned, hasAccess, checkAccess, checkRemove } = require("./permissions");
+
+// Most an archive may unpack to in total, as anything past the storage quota couldn't be written anyway
+const MAX_UNPACKED_SIZE = STORAGE_QUOTA_KB * 1024;
+
+// CRC-32 lookup table for the polynomial used by zip
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+// File type bits stored above the mode in an entry's external attributes
+const UNIX_TYPE_BITS = { file: 0o100000, directory: 0o040000, symlink: 0o120000 };
+
+// Version 3.0 made by Unix, so extractors read the Unix attributes
+const VERSION_MADE_BY = (3 << 8) | 30;
+const VERSION_NEEDED = 20;
+
+// Bit 11 of the general purpose flags marks names as UTF-8
+const UTF8_FLAG = 0x0800;
+
+// Compression methods
+const STORED = 0;
+const DEFLATED = 8;
+
+// Size of a tar header, and of the blocks entry data is padded to
+const TAR_BLOCK_SIZE = 512;
+
+// Tar type flags for each node type
+const TAR_TYPES = { file: "0", directory: "5", symlink: "2" };
+
+// First bytes of gzip data
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+
+/**
+ * Compute the CRC-32 of some data
+ * @param {Buffer} data - Data to check
+ * @returns {number} - Unsigned CRC-32
+ */
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Convert a timestamp to the MS-DOS date and time fields zip uses
+ * @param {number} time - Time in milliseconds
+ * @returns {Object} - { date, time }
+ */
+function toDosTime(time) {
+  const d = new Date(Math.max(time, new Date(1980, 0, 1).getTime()));
+  return {
+    date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+  };
+}
+
+/**
+ * Convert the MS-DOS date and time fields of a zip entry to a timestamp
+ * @param {number} date - Date field
+ * @param {number} time - Time field
+ * @returns {number} - Time in milliseconds
+ */
+function fromDosTime(date, time) {
+  return new Date((date >> 9) + 1980, ((date >> 5) & 0xf) - 1, date & 0x1f, time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2).getTime();
+}
+
+/**
+ * Build a zip archive
+ * @param {Array<Object>} entries - { name, type, mode, modified, content } per entry, with the content as a Buffer or string
+ * @returns {Buffer} - Zip file data
+ */
+function createZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.type === "directory" ? `${entry.name}/` : entry.name);
+    const data = Buffer.from(entry.type === "directory" ? "" : entry.content || "");
+    const deflated = zlib.deflateRawSync(data);
+    const compress = deflated.length < data.length;
+    const body = compress ? deflated : data;
+    const { date, time } = toDosTime(entry.modified || Date.now());
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(VERSION_NEEDED, 4);
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(compress ? DEFLATED : STORED, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    localParts.push(local, name, body);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(VERSION_MADE_BY, 4);
+    local.copy(central, 6, 4, 30);
+    // The external attributes hold the Unix type and mode, plus the MS-DOS directory flag
+    const attributes = ((UNIX_TYPE_BITS[entry.type] | (entry.mode & 0o7777)) << 16) | (entry.type === "directory" ? 0x10 : 0);
+    central.writeUInt32LE(attributes >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, name);
+
+    offset += local.length + name.length + body.length;
+  }
+
+  const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+/**
+ * Read the entries of a zip archive, stored or deflated
+ * @param {Buffer} data - Zip file data
+ * @returns {Object} - { entries } with { name, type, mode, modified, content } per entry, or { error }
+ */
+function readZip(data) {
+  // The end of central directory record comes last, followed only by an optional comment
+  let end = -1;
+  for (let i = data.length - 22; i >= Math.max(0, data.length - 22 - 0xffff); i--) {
+    if (data.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) return { error: "Not a zip archive" };
+
+  const entries = [];
+  let offset = data.readUInt32LE(end + 16);
+  let unpacked = 0;
+
+  for (let i = data.readUInt16LE(end + 10); i > 0; i--) {
+    if (offset + 46 > data.length || data.readUInt32LE(offset) !== 0x02014b50) return { error: "Corrupt zip archive" };
+
+    const madeBy = data.readUInt16LE(offset + 4) >> 8;
+    const method = data.readUInt16LE(offset + 10);
+    const crc = data.readUInt32LE(offset + 16);
+    const compressedSize = data.readUInt32LE(offset + 20);
+    const size = data.readUInt32LE(offset + 24);
+    const nameLength = data.readUInt16LE(offset + 28);
+    const attributes = data.readUInt32LE(offset + 38);
+    const localOffset = data.readUInt32LE(offset + 42);
+    const name = data.toString("utf8", offset + 46, offset + 46 + nameLength);
+    const modified = fromDosTime(data.readUInt16LE(offset + 14), data.readUInt16LE(offset + 12));
+    offset += 46 + nameLength + data.readUInt16LE(offset + 30) + data.readUInt16LE(offset + 32);
+
+    // The data follows the local header, whose name and extra field can differ in length from the central ones
+    if (localOffset + 30 > data.length || data.readUInt32LE(localOffset) !== 0x04034b50) return { error: "Corrupt zip archive" };
+    const start = localOffset + 30 + data.readUInt16LE(localOffset + 26) + data.readUInt16LE(localOffset + 28);
+    const body = data.subarray(start, start + compressedSize);
+    if (body.length < compressedSize) return { error: "Corrupt zip archive" };
+
+    unpacked += size;
+    if (unpacked > MAX_UNPACKED_SIZE) return { error: "Archive is too large to unpack" };
+
+    let content;
+    if (method === STORED) {
+      content = body;
+    } else if (method === DEFLATED) {
+      try {
+        content = zlib.inflateRawSync(body, { maxOutputLength: Math.max(size, 1) });
+      } catch {
+        return { error: `${name}: Corrupt compressed data` };
+      }
+    } else {
+      return { error: `${name}: Unsupported compression method ${method}` };
+    }
+    if (crc32(content) !== crc) return { error: `${name}: Checksum mismatch` };
+
+    // Only archives made on Unix hold a type and mode in the external attributes
+    const unixMode = madeBy === 3 ? attributes >>> 16 : 0;
+    const type = name.endsWith("/") ? "directory" : (unixMode & 0o170000) === UNIX_TYPE_BITS.symlink ? "symlink" : "file";
+    entries.push({ name: name.replace(/\/+$/, ""), type, mode: unixMode & 0o7777 || undefined, modified, content });
+  }
+
+  return { entries };
+}
+
+/**
+ * Write a number into a tar header field as zero-padded octal
+ * @param {Buffer} header - Header block
+ * @param {number} value - Number to write
+ * @param {number} offset - Offset of the field
+ * @param {number} length - Length of the field, including its terminating NUL
+ */
+function writeOctal(header, value, offset, length) {
+  header.write(`${value.toString(8).padStart(length - 1, "0")}\0`, offset, length, "ascii");
+}
+
+/**
+ * Read a NUL-terminated string from a tar header field
+ * @param {Buffer} header - Header block
+ * @param {number} offset - Offset of the field
+ * @param {number} length - Length of the field
+ * @returns {string} - Field text
+ */
+function readString(header, offset, length) {
+  const end = header.indexOf(0, offset);
+  return header.toString("utf8", offset, end === -1 || end > offset + length ? offset + length : end);
+}
+
+/**
+ * Read a number from an octal tar header field
+ * @param {Buffer} header - Header block
+ * @param {number} offset - Offset of the field
+ * @param {number} length - Length of the field
+ * @returns {number} - Field value, 0 when empty
+ */
+function readOctal(header, offset, length) {
+  return parseInt(readString(header, offset, length).trim() || "0", 8);
+}
+
+/**
+ * Compute the checksum of a tar header, which counts its checksum field as spaces
+ * @param {Buffer} header - Header block
+ * @returns {number} - Sum of the header bytes
+ */
+function tarChecksum(header) {
+  let sum = 0;
+  for (let i = 0; i < TAR_BLOCK_SIZE; i++) sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  return sum;
+}
+
+/**
+ * Build a ustar archive
+ * @param {Array<Object>} entries - { name, type, mode, modified, content } per entry, with the content as a Buffer
+ * @returns {Object} - { data } with the tar file data, or { error } for names and link targets too long for the format
+ */
+function createTar(entries) {
+  const parts = [];
+
+  for (const entry of entries) {
+    const header = Buffer.alloc(TAR_BLOCK_SIZE);
+    let name = entry.type === "directory" ? `${entry.name}/` : entry.name;
+    let prefix = "";
+
+    // Names over 100 bytes are split at a slash, with the part before it in the 155-byte prefix field
+    if (Buffer.byteLength(name) > 100) {
+      const slash = [...name.matchAll(/\//g)]
+        .map((match) => match.index)
+        .find((index) => Buffer.byteLength(name.slice(0, index)) <= 155 && Buffer.byteLength(name.slice(index + 1)) <= 100 && index + 1 < name.length);
+      if (slash === undefined) return { error: `${entry.name}: File name too long` };
+      prefix = name.slice(0, slash);
+      name = name.slice(slash + 1);
+    }
+
+    const linkTarget = entry.type === "symlink" ? entry.content.toString() : "";
+    if (Buffer.byteLength(linkTarget) > 100) return { error: `${entry.name}: Link target too long` };
+    const data = entry.type === "file" ? entry.content : Buffer.alloc(0);
+
+    header.write(name, 0, 100);
+    writeOctal(header, (entry.mode ?? userOwned(entry.type).mode) & 0o7777, 100, 8);
+    writeOctal(header, USER_UID, 108, 8);
+    writeOctal(header, USER_UID, 116, 8);
+    writeOctal(header, data.length, 124, 12);
+    writeOctal(header, Math.floor((entry.modified || Date.now()) / 1000), 136, 12);
+    header.write(TAR_TYPES[entry.type], 156, 1, "ascii");
+    header.write(linkTarget, 157, 100);
+    header.write("ustar\0", 257, 6, "ascii");
+    header.write("00", 263, 2, "ascii");
+    header.write(prefix, 345, 155);
+    header.write(`${tarChecksum(header).toString(8).padStart(6, "0")}\0 `, 148, 8, "ascii");
+
+    parts.push(header, data, Buffer.alloc((TAR_BLOCK_SIZE - (data.length % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE));
+  }
+
+  // Two empty blocks end the archive
+  parts.push(Buffer.alloc(TAR_BLOCK_SIZE * 2));
+  return { data: Buffer.concat(parts) };
+}
+
+/**
+ * Read the entries of a tar archive, including GNU and pax long names
+ * @param {Buffer} data - Tar file data
+ * @returns {Object} - { entries } with { name, type, mode, modified, content } per entry, or { error }; entries
+ * of types other than files, directories and symbolic links have the type "other"
+ */
+function readTar(data) {
+  const entries = [];
+  // Names and link targets an extension header gives the entry after it
+  let extended = {};
+  let unpacked = 0;
+
+  for (let offset = 0; offset + TAR_BLOCK_SIZE <= data.length; ) {
+    const header = data.subarray(offset, offset + TAR_BLOCK_SIZE);
+    if (header.every((byte) => byte === 0)) break;
+    if (readOctal(header, 148, 8) !== tarChecksum(header)) return { error: "Not a tar archive" };
+
+    const size = readOctal(header, 124, 12);
+    const content = data.subarray(offset + TAR_BLOCK_SIZE, offset + TAR_BLOCK_SIZE + size);
+    if (content.length < size) return { error: "Unexpected end of archive" };
+    offset += TAR_BLOCK_SIZE + Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+
+    unpacked += size;
+    if (unpacked > MAX_UNPACKED_SIZE) return { error: "Archive is too large to unpack" };
+
+    const typeFlag = String.fromCharCode(header[156]);
+    if (typeFlag === "L" || typeFlag === "K") {
+      extended[typeFlag === "L" ? "path" : "linkpath"] = readString(content, 0, size);
+      continue;
+    }
+    if (typeFlag === "x") {
+      // Pax records are "<length> <key>=<value>\n"
+      for (let i = 0; i < content.length; ) {
+        const space = content.indexOf(0x20, i);
+        const length = parseInt(content.toString("ascii", i, space), 10);
+        if (space === -1 || !length) break;
+        const record = content.toString("utf8", space + 1, i + length - 1);
+        const equals = record.indexOf("=");
+        if (equals > 0) extended[record.slice(0, equals)] = record.slice(equals + 1);
+        i += length;
+      }
+      continue;
+    }
+    if (typeFlag === "g") continue;
+
+    const prefix = header.toString("ascii", 257, 262) === "ustar" ? readString(header, 345, 155) : "";
+    const name = extended.path ?? (prefix ? `${prefix}/${readString(header, 0, 100)}` : readString(header, 0, 100));
+    const linkTarget = extended.linkpath ?? readString(header, 157, 100);
+    extended = {};
+
+    const type = { "0": "file", "\0": "file", "7": "file", "5": "directory", "2": "symlink" }[typeFlag] || "other";
+    entries.push({
+      name: name.replace(/\/+$/, ""),
+      type,
+      mode: readOctal(header, 100, 8) & 0o7777,
+      modified: readOctal(header, 136, 12) * 1000,
+      content: type === "symlink" ? Buffer.from(linkTarget) : content,
+    });
+  }
+
+  return { entries };
+}
+
+/**
+ * Compress data with gzip
+ * @param {Buffer} data - Data to compress
+ * @returns {Buffer} - Gzip data
+ */
+function gzip(data) {
+  return zlib.gzipSync(data, { level: 9 });
+}
+
+/**
+ * Check whether data is gzip-compressed
+ * @param {Buffer} data - Data to check
+ * @returns {boolean} - Whether it starts like gzip data
+ */
+function isGzip(data) {
+  return data.subarray(0, 2).equals(GZIP_MAGIC);
+}
+
+/**
+ * Decompress gzip data
+ * @param {Buffer} data - Gzip data
+ * @returns {Object} - { data } with the decompressed data, or { error }
+ */
+function gunzip(data) {
+  if (!isGzip(data)) return { error: "Not in gzip format" };
+  try {
+    return { data: zlib.gunzipSync(data, { maxOutputLength: MAX_UNPACKED_SIZE }) };
+  } catch (error) {
+    return { error: error.code === "ERR_BUFFER_TOO_LARGE" ? "Data is too large to decompress" : "Corrupt compressed data" };
+  }
+}
+
+/**
+ * Collect the entries for archiving a node and everything inside it
+ *
+ * Links go in as links, and whatever the user can't read is left out.
+ * @param {Object} node - File, directory or symlink node
+ * @param {string} name - Name of the node in the archive
+ * @returns {Object} - { entries, denied } with { name, type, mode, modified, content } per entry, and the
+ * paths relative to the node that couldn't be read
+ */
+function collectEntries(node, name) {
+  const entries = [];
+  const denied = [];
+
+  for (const { relative, node: entryNode, denied: unreadable } of walkTree(node)) {
+    // Unreadable directories still go in, just empty
+    if (unreadable || (entryNode.type === "file" && !hasAccess(entryNode, "r"))) {
+      denied.push(relative);
+      if (!unreadable) continue;
+    }
+
+    // Archiving "." or "/" names entries relative to it, without an entry for the directory itself
+    if (!name && !relative) continue;
+
+    entries.push({
+      name: name && relative ? `${name}/${relative}` : name || relative,
+      type: entryNode.type,
+      mode: entryNode.mode,
+      modified: entryNode.modified,
+      content: entryNode.type === "symlink" ? Buffer.from(entryNode.target) : entryNode.type === "file" ? getFileData(entryNode) : Buffer.alloc(0),
+    });
+  }
+
+  return { entries, denied };
+}
+
+/**
+ * Collect the entries for archiving paths given to tar or zip
+ *
+ * Entries are named by the paths as given, without any leading "/" or "..", like tar does.
+ * @param {Object} filesystem - User's filesystem
+ * @param {string} base - Absolute path of the directory relative paths start from
+ * @param {Array<string>} paths - Paths to archive
+ * @returns {Object} - { entries, errors }
+ */
+function collectPaths(filesystem, base, paths) {
+  const entries = [];
+  const errors = [];
+
+  for (const given of paths) {
+    const fullPath = resolvePath(base, given, filesystem.home);
+    // A link given by name is archived as the link, like tar does
+    const { path: realPath } = resolveLinks(filesystem, fullPath, false);
+    const node = realPath && getNodeAtPath(filesystem, realPath, false);
+    if (!node) {
+      errors.push(`${given}: No such file or directory`);
+      continue;
+    }
+
+    const { error } = checkAccess(filesystem, fullPath, node.type === "directory" ? "rx" : "", false);
+    if (error) {
+      errors.push(error);
+      continue;
+    }
+
+    const name = path.posix.normalize(given.startsWith("~") ? fullPath : given).split("/").filter((part) => part && part !== "." && part !== "..").join("/");
+    const collected = collectEntries(node, name);
+    entries.push(...collected.entries);
+    errors.push(...collected.denied.map((relative) => `${relative ? `${given.replace(/\/+$/, "")}/${relative}` : given}: Permission denied`));
+  }
+
+  return { entries, errors };
+}
+
+/**
+ * Add a directory or symbolic link node at a path, where a link replaces a file or link already there
+ * @param {Object} filesystem - User's filesystem
+ * @param {string} fullPath - Absolute path
+ * @param {Object} node - Node to add
+ * @returns {Object} - { node } with the node now at the path, which is the existing one for a directory already
+ * there, or { error }
+ */
+function placeNode(filesystem, fullPath, node) {
+  const { parent, fileName, target, found, error } = getObjectAtPath(filesystem, fullPath, false, false);
+  if (error) return { error };
+  if (found && target.type === "directory") return node.type === "directory" ? { node: target } : { error: `${fullPath}: Is a directory` };
+  if (found && node.type === "directory") return { error: `${fullPath}: File exists` };
+
+  const { error: accessError } = found ? checkRemove(filesystem, fullPath) : checkAccess(filesystem, path.posix.dirname(fullPath), "wx");
+  if (accessError) return { error: found ? accessError : `${fullPath}: Permission denied` };
+
+  const { error: spaceError } = checkSpace(filesystem, getSize(node) - (found ? getSize(target) : 0), fullPath);
+  if (spaceError) return { error: `${fullPath}: ${spaceError}` };
+
+  parent.children[fileName] = node;
+  parent.modified = Date.now();
+  return { node };
+}
+
+/**
+ * Unpack archive entries into a directory, with the usual permission, size and space checks
+ *
+ * Entries naming a path outside the directory, directly or through a link, are skipped.
+ * Text files are stored as text and anything else as binary files.
+ * @param {Object} filesystem - User's filesystem
+ * @param {string} destination - Absolute path of the directory to unpack into
+ * @param {Array<Object>} entries - Entries from readTar or readZip
+ * @returns {Object} - { extracted, errors } with the names of the entries unpacked
+ */
+function extractEntries(filesystem, destination, entries) {
+  const extracted = [];
+  const errors = [];
+  // Directory modes are applied last, so read-only directories can still be filled
+  const directoryModes = [];
+  const root = resolveLinks(filesystem, destination).path;
+
+  for (const entry of entries) {
+    const parts = entry.name.split("/").filter((part) => part && part !== ".");
+    if (!parts.length) continue;
+    if (entry.name.startsWith("/") || parts.includes("..")) {
+      errors.push(`${entry.name}: Path outside the destination, skipped`);
+      continue;
+    }
+    if (entry.type === "other") {
+      errors.push(`${entry.name}: Unsupported file type, skipped`);
+      continue;
+    }
+
+    // Archives don't always list the directories their entries are in
+    let parentError = null;
+    for (let i = 1; i < parts.length && !parentError; i++) {
+      const dirPath = path.posix.join(destination, ...parts.slice(0, i));
+      const existing = getNodeAtPath(filesystem, dirPath);
+      if (existing?.type === "directory") continue;
+      parentError = existing ? `${dirPath}: Not a directory` : placeNode(filesystem, dirPath, { type: "directory", children: {}, ...userOwned("directory"), ...timestamps() }).error;
+    }
+
+    const fullPath = path.posix.join(destination, ...parts);
+    const realParent = resolveLinks(filesystem, path.posix.dirname(fullPath)).path;
+    if (!parentError && realParent && realParent !== root && !realParent.startsWith(root === "/" ? "/" : `${root}/`)) {
+      parentError = `${entry.name}: Path outside the destination, skipped`;
+    }
+    if (parentError) {
+      errors.push(parentError);
+      continue;
+    }
+
+    let node;
+    if (entry.type === "file") {
+      // A link in the way is replaced rather than written through
+      const { target } = getObjectAtPath(filesystem, fullPath, false, false);
+      let { error } = target?.type === "symlink" ? placeNode(filesystem, fullPath, { type: "file", content: "", ...userOwned("file"), ...timestamps() }) : {};
+      if (!error) ({ error } = writeFile(filesystem, fullPath, decodeText(entry.content) ?? entry.content));
+      if (error) {
+        errors.push(error);
+        continue;
+      }
+      node = getObjectAtPath(filesystem, fullPath, false, false).target;
+    } else {
+      const newNode = entry.type === "directory"
+        ? { type: "directory", children: {}, ...userOwned("directory"), ...timestamps() }
+        : { type: "symlink", target: entry.content.toString(), ...userOwned("symlink"), ...timestamps() };
+      const { node: placed, error } = placeNode(filesystem, fullPath, newNode);
+      if (error) {
+        errors.push(error);
+        continue;
+      }
+      node = placed;
+    }
+
+    if (entry.modified) node.modified = entry.modified;
+    if (entry.mode !== undefined && entry.type !== "symlink") {
+      if (entry.type === "directory") directoryModes.push([node, entry.mode & 0o1777]);
+      else node.mode = entry.mode & 0o777;
+    }
+    extracted.push(entry.type === "directory" ? `${entry.name}/` : entry.name);
+  }
+
+  for (const [node, mode] of directoryModes) node.mode = mode;
+  return { extracted, errors };
+}
+
+/**
+ * Compress a file into one with a .gz suffix, or decompress one, replacing the original unless it's kept
+ * @param {Object} filesystem - User's filesystem
+ * @param {string} fullPath - Absolute path of the file
+ * @param {boolean} decompress - Whether to decompress rather than compress
+ * @param {boolean} keep - Whether to keep the original file
+ * @returns {Object} - { message } describing the result, or { error }
+ */
+function gzipFile(filesystem, fullPath, decompress, keep) {
+  const { parent, fileName, target, found, error } = getObjectAtPath(filesystem, fullPath, false, false);
+  if (error) return { error };
+  if (!found) return { error: `${fullPath}: No such file or directory` };
+  if (target.type !== "file") return { error: `${fullPath}: Not a regular file, ignored` };
+
+  const newPath = decompress ? fullPath.replace(/\.gz$/, "").replace(/\.tgz$/, ".tar") : `${fullPath}.gz`;
+  if (decompress && newPath === fullPath) return { error: `${fullPath}: Unknown suffix, ignored` };
+  if (!decompress && fullPath.endsWith(".gz")) return { error: `${fullPath}: Already has .gz suffix, unchanged` };
+  if (getObjectAtPath(filesystem, newPath, false, false).found) return { error: `${newPath}: File exists` };
+
+  // The original is only removed once the new file is written, so check that it can be first
+  if (!keep) {
+    const { error: removeError } = checkRemove(filesystem, fullPath);
+    if (removeError) return { error: removeError };
+  }
+
+  const { data, error: readError } = readFile(filesystem, fullPath);
+  if (readError) return { error: readError };
+
+  const { data: newData, error: gzipError } = decompress ? gunzip(data) : { data: gzip(data) };
+  if (gzipError) return { error: `${fullPath}: ${gzipError}` };
+
+  const { error: writeError } = writeFile(filesystem, newPath, decompress ? decodeText(newData) ?? newData : newData);
+  if (writeError) return { error: writeError };
+
+  // Like gzip, the new file keeps the original's mode and modification time
+  const newNode = getObjectAtPath(filesystem, newPath, false, false).target;
+  newNode.mode = target.mode;
+  newNode.modified = target.modified;
+
+  if (!keep) {
+    delete parent.children[fileName];
+    parent.modified = Date.now();
+  }
+
+  const [compressed, original] = decompress ? [data.length, newData.length] : [newData.length, data.length];
+  const ratio = original ? ((1 - compressed / original) * 100).toFixed(1) : "0.0";
+  return { message: `${fullPath}: ${ratio}% -- ${keep ? "created" : "replaced with"} ${newPath}` };
+}
+
+module.exports = {
+  crc32,
+  createZip,
+  readZip,
+  createTar,
+  readTar,
+  gzip,
+  gunzip,
+  isGzip,
+  collectEntries,
+  collectPaths,
+  extractEntries,
+  gzipFile,
+};
@@ -1,7 +1,16 @@
 const path = require("node:path");
-const { loadFromDB, saveToDB } = require("../../../db/utils");
-const { resolvePath, getObjectAtPath, createFilesystem, MAX_CONTENT_LENGTH } = require("./filesystem");
+const { timestamps, getSize, getFileData, getDiskUsage, checkSpace, getMount, resolvePath, resolveLinks, getObjectAtPath, getNodeAtPath, walkTree, readFile, copyNode, loadFilesystem, saveFilesystem, MAX_CONTENT_LENGTH, STORAGE_QUOTA_KB } = require("./filesystem");
 const { getUserNetworkConfig, saveUserNetworkConfig } = require("./network");
+const { ok, fail, collect } = require("./result");
+const { globToRegExp, compileRegExp, MAX_MATCH_LINE_LENGTH } = require("./shell");
+const { getSession, getEnvironment, getBuiltinVariables, READONLY_VARIABLES } = require("./session");
+const { loadAliases, saveAliases, formatAlias, ALIAS_NAME_PATTERN } = require("./aliases");
+const { loadCommandHistory, clearCommandHistory, formatHistory, DEFAULT_HISTORY_LIST_SIZE } = require("./history");
+const { MAN_DIR, SHELL_MANUALS, formatManPage, paginate } = require("./manual");
+const { getJobTable, getJobState, findJob, killJob, formatJob, collectFinishedJobs } = require("./jobs");
+const { createZip, collectEntries } = require("./archive");
+const { MAX_SNAPSHOTS, loadSnapshots, findSnapshot, createSnapshot, deleteSnapshot, diffFilesystems } = require("./snapshots");
+const { USER_UID, getOwnerName, resolveOwnerId, userOwned, hasAccess, checkAccess, checkRemove, formatMode, parseMode } = require("./permissions");
 
 // Import pkgModule directly for the packageDefinitions only
 // We'll register the package commands separately to avoid circular dependencies
@@ -9,29 +18,44 @@ const pkgModule = require("./pkg");
 const { getDownloadStatus, processDownload } = pkgModule;
 const { packageDefinitions } = pkgModule;
 
+// Limits on find and grep output, so a search over a whole tree still fits in a Discord message
+const MAX_SEARCH_RESULTS = 100;
+const MAX_SEARCH_OUTPUT_LENGTH = 1500;
+
+// Largest attachment download will send, Discord's upload limit for bots
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
 // System commands that are always available
 const systemCommands = {
   cd: {
+    description: "Change the current directory",
+    usage: "cd [directory]",
+    options: {
+      directory: 'Defaults to your home directory; "-" goes back to the previous directory',
+    },
+    examples: ["cd /sys/pkgs", "cd ..", "cd ~/notes", "cd -", "cd"],
     execute: async (userId, args) => {
-      const userFS = await loadFromDB("user_filesystems", userId, createFilesystem());
-      let target = args[0] || "/";
+      const userFS = await loadFilesystem(userId);
+      let target = args[0] || userFS.home || "/";
       if (target === "...") target = "/";
+      if (target === "-") {
+        if (!userFS.previousDir) return fail("cd: No previous directory");
+        target = userFS.previousDir;
+      }
 
-      const newPath = resolvePath(userFS.currentDir, target);
-      let current = userFS.fs["/"];
+      // Like a shell, the current directory keeps the names of any links it was reached through
+      const newPath = resolvePath(userFS.currentDir, target, userFS.home);
+      if (getNodeAtPath(userFS, newPath)?.type !== "directory") return fail(`cd: ${newPath}: No such directory`);
 
-      for (const part of newPath.split("/").filter((p) => p)) {
-        if (!current.children?.[part] || current.children[part].type !== "directory") {
-          return `cd: ${newPath}: No such directory`;
-        }
-        current = current.children[part];
-      }
+      const { error } = checkAccess(userFS, newPath, "x");
+      if (error) return fail(`cd: ${error}`);
 
+      userFS.previousDir = userFS.currentDir;
       userFS.currentDir = newPath;
-      await saveToDB("user_filesystems", userId, userFS);
+      await saveFilesystem(userId, userFS);
 
       // Check for ongoing downloads and update them
-      const userFS2 = await loadFromDB("user_filesystems", userId, createFilesystem());
+      const userFS2 = await loadFilesystem(userId);
       const pkgNames = Object.keys(packageDefinitions);
       for (const pkgName of pkgNames) {
         if (getDownloadStatus(userId, pkgName)) {
@@ -43,19 +67,137 @@ const systemCommands = {
     },
   },
 
+  pwd: {
+    description: "Print the current directory",
+    usage: "pwd",
+    examples: ["pwd"],
+    execute: async (userId) => (await loadFilesystem(userId)).currentDir,
+  },
+
+  tree: {
+    description: "Show a directory and everything inside it as a tree",
+    usage: "tree [-a] [-d] [-L depth] [directory...]",
+    options: {
+      "-a": "Also show dotfiles",
+      "-d": "Only show directories",
+      "-L depth": "Only descend this many levels",
+    },
+    examples: ["tree", "tree -L 2 /sys", "tree -d ~"],
+    execute: async (userId, args) => {
+      const options = { all: false, dirsOnly: false, maxDepth: Infinity };
+      const starts = [];
+
+      for (let i = 0; i < args.length; i++) {
+        if (args[i] === "-L") {
+          const depth = parseInt(args[++i], 10);
+          if (!/^\d+$/.test(args[i] ?? "") || depth < 1) return fail("tree: Invalid level, must be greater than 0");
+          options.maxDepth = depth;
+        } else if (/^-[ad]+$/.test(args[i])) {
+          if (args[i].includes("a")) options.all = true;
+          if (args[i].includes("d")) options.dirsOnly = true;
+        } else if (args[i].startsWith("-") && args[i] !== "-") {
+          return fail(`tree: Invalid option: ${args[i]}`);
+        } else {
+          starts.push(args[i]);
+        }
+      }
+      if (!starts.length) starts.push(".");
+
+      const userFS = await loadFilesystem(userId);
+      const output = [];
+      const errors = [];
+      const counts = { directories: 0, files: 0 };
+
+      for (const start of starts) {
+        const fullPath = resolvePath(userFS.currentDir, start, userFS.home);
+        const node = getNodeAtPath(userFS, fullPath);
+        const { error } = checkAccess(userFS, fullPath);
+
+        if (!node || node.type !== "directory") {
+          errors.push(`tree: ${fullPath}: ${node ? "Not a directory" : "No such file or directory"}`);
+        } else if (error) {
+          errors.push(`tree: ${error}`);
+        } else {
+          output.push(start, ...renderTree(node, "", 1, options, counts));
+        }
+      }
+
+      if (output.length) {
+        const directories = `${counts.directories} director${counts.directories === 1 ? "y" : "ies"}`;
+        const files = `${counts.files} file${counts.files === 1 ? "" : "s"}`;
+        output.push("", options.dirsOnly ? directories : `${directories}, ${files}`);
+      }
+
+      return limitSearchResults("tree", output, errors);
+    },
+  },
+
   ls: {
+    description: "List directory contents",
+    usage: "ls [-l] [-a] [-t|-S] [path...]",
+    options: {
+      "-l": "Long format, with each entry's mode, owner, group, size and modification time",
+      "-a": "Also show dotfiles and system files you can't read",
+      "-t": "Sort by modification time, newest first",
+      "-S": "Sort by size, largest first",
+    },
+    examples: ["ls", "ls /sys /sys/pkgs", "ls -la /sys/os", "ls -lt"],
     execute: async (userId, args) => {
-      const userFS = await loadFromDB("user_filesystems", userId, createFilesystem());
-      const targetPath = resolvePath(userFS.currentDir, args[0] || userFS.currentDir);
+      const flags = new Set();
+      const paths = [];
 
-      let current = userFS.fs["/"];
-      for (const part of targetPath.split("/").filter((p) => p)) {
-        if (!current.children?.[part]) return `ls: ${targetPath}: No such directory`;
-        current = current.children[part];
+      for (const arg of args) {
+        if (!/^-[a-zA-Z]+$/.test(arg)) {
+          paths.push(arg);
+          continue;
+        }
+        for (const flag of arg.slice(1)) {
+          if (!"latS".includes(flag)) return fail(`ls: Invalid option: -${flag}`);
+          // The later of -t and -S wins
+          if (flag === "t" || flag === "S") flags.delete(flag === "t" ? "S" : "t");
+          flags.add(flag);
+        }
+      }
+
+      const userFS = await loadFilesystem(userId);
+      const username = getSession(userId).username || "user";
+      const targets = paths.length ? paths : [userFS.currentDir];
+      const output = [];
+      const errors = [];
+
+      const format = (entries) => {
+        const sorted = entries.sort((a, b) => {
+          if (flags.has("t") && b.node.modified !== a.node.modified) return b.node.modified - a.node.modified;
+          if (flags.has("S") && getSize(b.node) !== getSize(a.node)) return getSize(b.node) - getSize(a.node);
+          return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+        });
+        if (flags.has("l")) return formatLongListing(sorted, username);
+        return sorted.map(({ name, node }) => `${{ directory: "📁 ", symlink: "🔗 " }[node.type] || "📄 "}${name}`).join("\n");
+      };
+
+      for (const target of targets) {
+        const targetPath = resolvePath(userFS.currentDir, target, userFS.home);
+        const node = getNodeAtPath(userFS, targetPath);
+        const { error } = checkAccess(userFS, targetPath, node?.type === "directory" ? "r" : "");
+
+        if (!node) {
+          errors.push(`ls: ${targetPath}: No such file or directory`);
+        } else if (error) {
+          errors.push(`ls: ${error}`);
+        } else if (node.type !== "directory") {
+          output.push(format([{ name: target, node }]));
+        } else {
+          // Dotfiles and unreadable system files, such as the OS binaries in /sys/os, only show with -a
+          const entries = Object.entries(node.children)
+            .filter(([name, child]) => flags.has("a") || (!name.startsWith(".") && (child.owner === USER_UID || hasAccess(child, "r"))))
+            .map(([name, child]) => ({ name, node: child }));
+          const listing = format(entries) || "Empty directory";
+          output.push(targets.length > 1 ? `${targetPath}:\n${listing}` : listing);
+        }
       }
 
       // Check for ongoing downloads and update them
-      const userFS2 = await loadFromDB("user_filesystems", userId, createFilesystem());
+      const userFS2 = await loadFilesystem(userId);
       const pkgNames = Object.keys(packageDefinitions);
       for (const pkgName of pkgNames) {
         if (getDownloadStatus(userId, pkgName)) {
@@ -63,77 +205,532 @@ const systemCommands = {
         }
       }
 
-      return (
-        Object.keys(current.children)
-          .map((name) => `${current.children[name].type === "directory" ? "📁 " : "📄 "}${name}`)
-          .join("\n") || "Empty directory"
-      );
+      return collect(output, errors);
     },
   },
 
   touch: {
+    description: "Create empty files, or update the timestamps of existing ones",
+    usage: "touch <file...>",
+    examples: ["touch notes.txt", "touch a.txt b.txt"],
     execute: async (userId, args) => {
-      if (!args.length) return "touch: Missing filename";
+      if (!args.length) return fail("touch: Missing filename");
+
+      const userFS = await loadFilesystem(userId);
+      const output = [];
+      const errors = [];
+
+      for (const arg of args) {
+        const fullPath = resolvePath(userFS.currentDir, arg, userFS.home);
 
-      const userFS = await loadFromDB("user_filesystems", userId, createFilesystem());
-      const fullPath = resolvePath(userFS.currentDir, args.join(" "));
+        const { parent, fileName, target, found, error } = getObjectAtPath(userFS, fullPath, true);
+        if (error) {
+          errors.push(`touch: ${error}`);
+          continue;
+        }
 
-      const { parent, fileName, found, error } = getObjectAtPath(userFS, fullPath, true);
-      if (error) return `touch: ${error}`;
+        const { error: accessError } = found ? checkAccess(userFS, fullPath, "w") : checkAccess(userFS, path.dirname(fullPath), "wx");
+        if (accessError) {
+          errors.push(`touch: ${fullPath}: Permission denied`);
+          continue;
+        }
 
-      // Create/update the file
-      parent.children[fileName] = { type: "file", content: "" };
+        // Existing files and directories keep their content and only get new timestamps
+        if (found) {
+          target.modified = target.accessed = Date.now();
+          output.push(`Updated timestamps: ${fullPath}`);
+          continue;
+        }
+
+        parent.children[fileName] = { type: "file", content: "", ...userOwned("file"), ...timestamps() };
+        parent.modified = Date.now();
+        output.push(`Created file: ${fullPath}`);
+      }
 
-      await saveToDB("user_filesystems", userId, userFS);
-      return `Created file: ${fullPath}`;
+      await saveFilesystem(userId, userFS);
+      return collect(output, errors);
     },
   },
 
   test: {
+    description: "Print the arguments it was given, for trying out the terminal",
+    usage: "test [args...]",
+    examples: ["test hello world"],
     execute: async (userId, args) => `Test command executed with args: ${args.join(" ")}`,
   },
 
   mkdir: {
+    description: "Create directories",
+    usage: "mkdir <directory...>",
+    examples: ["mkdir projects", "mkdir docs music"],
     execute: async (userId, args) => {
-      if (!args.length) return "mkdir: Missing directory name";
+      if (!args.length) return fail("mkdir: Missing directory name");
+
+      const userFS = await loadFilesystem(userId);
+      const output = [];
+      const errors = [];
+
+      for (const arg of args) {
+        const fullPath = resolvePath(userFS.currentDir, arg, userFS.home);
+
+        const { parent, fileName, error } = getObjectAtPath(userFS, fullPath, true, false);
+        if (error) {
+          errors.push(`mkdir: ${error}`);
+          continue;
+        }
 
-      const userFS = await loadFromDB("user_filesystems", userId, createFilesystem());
-      const fullPath = resolvePath(userFS.currentDir, args.join(" "));
+        // Replacing an existing directory would drop its contents without any permission check
+        if (parent.children[fileName]) {
+          errors.push(`mkdir: Cannot create directory '${fileName}': File exists`);
+          continue;
+        }
 
-      const { parent, fileName, error } = getObjectAtPath(userFS, fullPath, true);
-      if (error) return `mkdir: ${error}`;
+        if (checkAccess(userFS, path.dirname(fullPath), "wx").error) {
+          errors.push(`mkdir: ${fullPath}: Permission denied`);
+          continue;
+        }
 
-      if (parent.children[fileName] && parent.children[fileName].type !== "directory") {
-        return `mkdir: Cannot create directory '${fileName}': File exists`;
+        const directory = { type: "directory", children: {}, ...userOwned("directory"), ...timestamps() };
+        const { error: spaceError } = checkSpace(userFS, getSize(directory), fullPath);
+        if (spaceError) {
+          errors.push(`mkdir: ${fullPath}: ${spaceError}`);
+          continue;
+        }
+
+        parent.children[fileName] = directory;
+        parent.modified = Date.now();
+        output.push(`Created directory: ${fullPath}`);
       }
 
-      parent.children[fileName] = { type: "directory", children: {} };
-      await saveToDB("user_filesystems", userId, userFS);
-      return `Created directory: ${fullPath}`;
+      await saveFilesystem(userId, userFS);
+      return collect(output, errors);
     },
   },
 
   rm: {
+    description: "Remove files and directories",
+    usage: "rm <path...>",
+    examples: ["rm notes.txt", "rm old-dir"],
     execute: async (userId, args) => {
-      if (!args.length) return "rm: Missing filename";
+      if (!args.length) return fail("rm: Missing filename");
+
+      const userFS = await loadFilesystem(userId);
+      const output = [];
+      const errors = [];
+
+      for (const arg of args) {
+        const fullPath = resolvePath(userFS.currentDir, arg, userFS.home);
+
+        // A link is removed itself, never the file it points to
+        const { parent, fileName, found, error } = getObjectAtPath(userFS, fullPath, false, false);
+        if (error) {
+          errors.push(`rm: ${error}`);
+        } else if (!found) {
+          errors.push(`rm: ${fullPath}: No such file or directory`);
+        } else if (checkRemove(userFS, fullPath).error) {
+          errors.push(`rm: ${fullPath}: Permission denied`);
+        } else {
+          delete parent.children[fileName];
+          parent.modified = Date.now();
+          output.push(`Removed: ${fullPath}`);
+        }
+      }
+
+      await saveFilesystem(userId, userFS);
+      return collect(output, errors);
+    },
+  },
+
+  ln: {
+    description: "Create symbolic links",
+    usage: "ln -s [-f] <target> [link]",
+    options: {
+      "-s": "Make a symbolic link; hard links aren't supported",
+      "-f": "Replace an existing file or link at the link's path",
+      link: "Path of the new link, or a directory to create it in; defaults to the target's name in the current directory",
+    },
+    examples: ["ln -s /sys/pkgs packages", "ln -s ../notes/todo.txt todo", "ln -sf new.txt current"],
+    execute: async (userId, args) => {
+      const flags = new Set();
+      let index = 0;
+
+      for (; index < args.length && /^-[a-zA-Z]+$/.test(args[index]); index++) {
+        for (const flag of args[index].slice(1)) {
+          if (!"sf".includes(flag)) return fail(`ln: Invalid option: -${flag}`);
+          flags.add(flag);
+        }
+      }
+
+      const [target, link] = args.slice(index);
+      if (!target || args.length - index > 2) return fail(`Usage: ${systemCommands.ln.usage}`);
+      if (!flags.has("s")) return fail("ln: Hard links aren't supported, use ln -s for a symbolic link");
+
+      const userFS = await loadFilesystem(userId);
+      let linkPath = resolvePath(userFS.currentDir, link || path.basename(target) || ".", userFS.home);
+      if (link && getNodeAtPath(userFS, linkPath)?.type === "directory") linkPath = path.join(linkPath, path.basename(target) || "/");
+
+      const { parent, fileName, target: existing, error } = getObjectAtPath(userFS, linkPath, false, false);
+      if (error) return fail(`ln: ${error}`);
+      if (existing && (!flags.has("f") || existing.type === "directory")) return fail(`ln: ${linkPath}: File exists`);
+
+      const { error: accessError } = existing ? checkRemove(userFS, linkPath) : checkAccess(userFS, path.dirname(linkPath), "wx");
+      if (accessError) return fail(`ln: ${linkPath}: Permission denied`);
 
-      const userFS = await loadFromDB("user_filesystems", userId, createFilesystem());
-      const fullPath = resolvePath(userFS.currentDir, args.join(" "));
+      // The target is stored as given, so relative targets are resolved from the link's directory
+      const symlink = { type: "symlink", target, ...userOwned("symlink"), ...timestamps() };
+      const { error: spaceError } = checkSpace(userFS, getSize(symlink) - (existing ? getSize(existing) : 0), linkPath);
+      if (spaceError) return fail(`ln: ${linkPath}: ${spaceError}`);
 
-      const { parent, fileName, found, error } = getObjectAtPath(userFS, fullPath);
-      if (error) return `rm: ${error}`;
-      if (!found) return `rm: ${fullPath}: No such file or directory`;
+      parent.children[fileName] = symlink;
+      parent.modified = Date.now();
 
-      delete parent.children[fileName];
-      await saveToDB("user_filesystems", userId, userFS);
-      return `Removed: ${fullPath}`;
+      await saveFilesystem(userId, userFS);
+      return `Created link: ${linkPath} -> ${target}`;
+    },
+  },
+
+  readlink: {
+    description: "Print the target of symbolic links",
+    usage: "readlink [-f] <link...>",
+    options: {
+      "-f": "Print the full path with every link along it resolved; the path doesn't have to be a link",
+    },
+    examples: ["readlink packages", "readlink -f packages/echo.pkg"],
+    execute: async (userId, args) => {
+      const canonicalize = args[0] === "-f";
+      const links = canonicalize ? args.slice(1) : args;
+      if (!links.length) return fail("readlink: Missing operand");
+
+      const userFS = await loadFilesystem(userId);
+      const output = [];
+      const errors = [];
+
+      for (const link of links) {
+        const fullPath = resolvePath(userFS.currentDir, link, userFS.home);
+        const { path: realPath, error } = resolveLinks(userFS, fullPath, canonicalize);
+
+        if (error) {
+          errors.push(`readlink: ${error}`);
+        } else if (canonicalize) {
+          output.push(realPath);
+        } else {
+          const node = getNodeAtPath(userFS, realPath, false);
+          if (node?.type === "symlink") output.push(node.target);
+          else errors.push(`readlink: ${fullPath}: ${node ? "Not a symbolic link" : "No such file or directory"}`);
+        }
+      }
+
+      return collect(output, errors);
+    },
+  },
+
+  cp: {
+    description: "Copy files and directories",
+    usage: "cp [-r] [-f|-n] <source...> <destination>",
+    options: {
+      "-r, -R": "Copy directories and everything inside them",
+      "-f": "Replace existing files even when they aren't writable, if their directory is",
+      "-n": "Never overwrite existing files",
+    },
+    examples: ["cp notes.txt backup.txt", "cp -r projects /backup", "cp -n *.txt docs"],
+    execute: async (userId, args) => transferPaths("cp", userId, args),
+  },
+
+  mv: {
+    description: "Move or rename files and directories",
+    usage: "mv [-f|-n] <source...> <destination>",
+    options: {
+      "-f": "Overwrite existing files (the default, as there are no prompts)",
+      "-n": "Never overwrite existing files",
+    },
+    examples: ["mv draft.txt final.txt", "mv *.log logs", "mv -n old new"],
+    execute: async (userId, args) => transferPaths("mv", userId, args),
+  },
+
+  chmod: {
+    description: "Change the mode bits of files and directories you own",
+    usage: "chmod <mode> <path...>",
+    options: {
+      mode: "Octal such as 755, or symbolic such as u+x, go-w or a=r,u+w",
+    },
+    examples: ["chmod 600 secrets.txt", "chmod u+x setup.sh", "chmod go-rwx private"],
+    execute: async (userId, args) => {
+      if (args.length < 2) return fail("Usage: chmod <mode> <path...>");
+
+      const [spec, ...targets] = args;
+      const userFS = await loadFilesystem(userId);
+      const output = [];
+      const errors = [];
+
+      for (const target of targets) {
+        const fullPath = resolvePath(userFS.currentDir, target, userFS.home);
+        const node = getNodeAtPath(userFS, fullPath);
+        const { error } = checkAccess(userFS, fullPath);
+
+        if (!node) {
+          errors.push(`chmod: ${fullPath}: No such file or directory`);
+        } else if (error) {
+          errors.push(`chmod: ${error}`);
+        } else if (node.owner !== USER_UID) {
+          errors.push(`chmod: ${fullPath}: Operation not permitted`);
+        } else {
+          const mode = parseMode(spec, node);
+          if (mode === null) return fail(`chmod: Invalid mode: '${spec}'`);
+
+          node.mode = mode;
+          output.push(`Mode of ${fullPath} set to ${mode.toString(8).padStart(4, "0")} (${formatMode(node)})`);
+        }
+      }
+
+      await saveFilesystem(userId, userFS);
+      return collect(output, errors);
+    },
+  },
+
+  chown: {
+    description: "Change the owner and group of files and directories you own",
+    usage: "chown <owner>[:group] <path...>",
+    options: {
+      owner: "root, your username or a numeric ID; a file given away can't be taken back",
+      ":group": "Also change the group, or only the group when the owner is left out",
+    },
+    examples: ["chown root notes.txt", "chown :root shared", "chown 1000:1000 file"],
+    execute: async (userId, args) => {
+      if (args.length < 2) return fail("Usage: chown <owner>[:group] <path...>");
+
+      const [spec, ...targets] = args;
+      const username = getSession(userId).username || "user";
+      const [ownerName, groupName] = spec.split(":");
+
+      const owner = ownerName ? resolveOwnerId(ownerName, username) : undefined;
+      if (owner === null) return fail(`chown: Invalid user: '${ownerName}'`);
+      const group = groupName ? resolveOwnerId(groupName, username) : undefined;
+      if (group === null) return fail(`chown: Invalid group: '${groupName}'`);
+
+      const userFS = await loadFilesystem(userId);
+      const output = [];
+      const errors = [];
+
+      for (const target of targets) {
+        const fullPath = resolvePath(userFS.currentDir, target, userFS.home);
+        const node = getNodeAtPath(userFS, fullPath);
+        const { error } = checkAccess(userFS, fullPath);
+
+        if (!node) {
+          errors.push(`chown: ${fullPath}: No such file or directory`);
+        } else if (error) {
+          errors.push(`chown: ${error}`);
+        } else if (node.owner !== USER_UID) {
+          errors.push(`chown: ${fullPath}: Operation not permitted`);
+        } else {
+          if (owner !== undefined) node.owner = owner;
+          if (group !== undefined) node.group = group;
+          output.push(`Owner of ${fullPath} set to ${getOwnerName(node.owner, username)}:${getOwnerName(node.group, username)}`);
+        }
+      }
+
+      await saveFilesystem(userId, userFS);
+      return collect(output, errors);
+    },
+  },
+
+  stat: {
+    description: "Show the size, type, owner, mode and timestamps of files and directories",
+    usage: "stat <path...>",
+    examples: ["stat notes.txt", "stat /sys/os"],
+    execute: async (userId, args) => {
+      if (!args.length) return fail("stat: Missing operand");
+
+      const userFS = await loadFilesystem(userId);
+      const username = getSession(userId).username || "user";
+      const output = [];
+      const errors = [];
+
+      for (const arg of args) {
+        const fullPath = resolvePath(userFS.currentDir, arg, userFS.home);
+        const { path: linkPath } = resolveLinks(userFS, fullPath, false);
+        const node = linkPath && getNodeAtPath(userFS, linkPath, false);
+        const { error } = checkAccess(userFS, fullPath, "", false);
+
+        if (!node) {
+          errors.push(`stat: ${fullPath}: No such file or directory`);
+        } else if (error) {
+          errors.push(`stat: ${error}`);
+        } else {
+          output.push(
+            [
+              `  File: ${fullPath}${node.type === "symlink" ? ` -> ${node.target}` : ""}`,
+              `  Size: ${getSize(node)}  Type: ${{ directory: "directory", symlink: "symbolic link" }[node.type] || "regular file"}`,
+              `Access: (${node.mode.toString(8).padStart(4, "0")}/${formatMode(node)})  Uid: (${node.owner}/${getOwnerName(node.owner, username)})  Gid: (${node.group}/${getOwnerName(node.group, username)})`,
+              `Access: ${formatTimestamp(node.accessed, true)}`,
+              `Modify: ${formatTimestamp(node.modified, true)}`,
+              ` Birth: ${formatTimestamp(node.created, true)}`,
+            ].join("\n"),
+          );
+        }
+      }
+
+      return collect(output, errors);
+    },
+  },
+
+  df: {
+    description: "Show how much of your storage quota is used",
+    usage: "df [-h]",
+    options: {
+      "-h": "Human-readable sizes such as 9.3M, instead of 1K blocks",
+    },
+    examples: ["df", "df -h"],
+    execute: async (userId, args) => {
+      const human = args.includes("-h");
+      const userFS = await loadFilesystem(userId);
+
+      const size = STORAGE_QUOTA_KB * 1024;
+      const used = getDiskUsage(userFS.fs["/"], "/");
+      const available = Math.max(0, size - used);
+      const format = (bytes) => (human ? formatDiskSize(bytes) : String(Math.ceil(bytes / 1024)));
+
+      const rows = [
+        ["Filesystem", human ? "Size" : "1K-blocks", "Used", "Available", "Use%", "Mounted on"],
+        ["happyfs", format(size), format(used), format(available), `${Math.ceil((used / size) * 100)}%`, "/"],
+      ];
+      const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+
+      // The filesystem name is left-aligned and the figures right-aligned, as df prints them
+      return rows
+        .map((row) => row.map((cell, column) => (column === 0 || column === 5 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]))).join("  ").trimEnd())
+        .join("\n");
+    },
+  },
+
+  du: {
+    description: "Show the disk space used by directories and everything inside them",
+    usage: "du [-s] [-h] [-a] [path...]",
+    options: {
+      "-s": "Only show the total of each path",
+      "-h": "Human-readable sizes such as 4.0K, instead of 1K blocks",
+      "-a": "Show files too, not only directories",
+    },
+    examples: ["du", "du -sh /sys/pkgs", "du -ah notes"],
+    execute: async (userId, args) => {
+      const flags = new Set();
+      const paths = [];
+
+      for (const arg of args) {
+        if (!/^-[a-zA-Z]+$/.test(arg)) {
+          paths.push(arg);
+          continue;
+        }
+        for (const flag of arg.slice(1)) {
+          if (!"sha".includes(flag)) return fail(`du: Invalid option: -${flag}`);
+          flags.add(flag);
+        }
+      }
+      if (!paths.length) paths.push(".");
+
+      const userFS = await loadFilesystem(userId);
+      const format = (bytes) => (flags.has("h") ? formatDiskSize(bytes) : String(Math.ceil(bytes / 1024)));
+      const output = [];
+      const errors = [];
+
+      for (const start of paths) {
+        const fullPath = resolvePath(userFS.currentDir, start, userFS.home);
+        const { path: realPath } = resolveLinks(userFS, fullPath);
+        const node = getNodeAtPath(userFS, fullPath);
+        const { error } = checkAccess(userFS, fullPath);
+
+        if (!node) {
+          errors.push(`du: ${fullPath}: No such file or directory`);
+          continue;
+        }
+        if (error) {
+          errors.push(`du: ${error}`);
+          continue;
+        }
+
+        // Like du, a directory's total comes after the entries inside it
+        const entries = flags.has("s") ? [{ relative: "", node, denied: false }] : walkTree(node).sort(comparePostOrder);
+        for (const entry of entries) {
+          if (entry.relative && entry.node.type !== "directory" && !flags.has("a")) continue;
+
+          const entryPath = entry.relative ? `${realPath === "/" ? "" : realPath}/${entry.relative}` : realPath;
+          output.push(`${format(getDiskUsage(entry.node, entryPath))}\t${joinDisplayPath(start, entry.relative)}`);
+          if (entry.denied) errors.push(`du: ${joinDisplayPath(start, entry.relative)}: Permission denied`);
+        }
+      }
+
+      return limitSearchResults("du", output, errors);
+    },
+  },
+
+  snapshot: {
+    description: "Save, compare and restore copies of your whole filesystem",
+    usage: "snapshot <create|list|diff|restore|delete> [name]",
+    options: {
+      "create [name]": `Save the filesystem as it is now, named after the current time if no name is given; only the last ${MAX_SNAPSHOTS} are kept`,
+      list: "List snapshots, oldest first, including those taken automatically before pkg upgrade, which are kept apart",
+      "diff <name>": "Show what was added (A), deleted (D) or changed (M) since a snapshot",
+      "restore <name>": "Replace the filesystem with a snapshot",
+      "delete <name>": "Delete a snapshot",
+    },
+    examples: ["snapshot create before-cleanup", "snapshot diff before-cleanup", "snapshot restore before-cleanup"],
+    execute: async (userId, args) => {
+      const [subcommand, name] = args;
+      const userFS = await loadFilesystem(userId);
+
+      if (subcommand === "create") {
+        const { snapshot, dropped, error } = await createSnapshot(userId, userFS, name || new Date().toISOString().slice(0, 19).replace(/[-:]/g, "").replace("T", "-"));
+        if (error) return fail(`snapshot: ${error}`);
+        return [`Created snapshot ${snapshot.name}`, ...dropped.map((old) => `Removed oldest snapshot ${old}`)].join("\n");
+      }
+
+      if (subcommand === "list") {
+        const snapshots = await loadSnapshots(userId);
+        if (!snapshots.length) return "No snapshots";
+
+        const width = Math.max(...snapshots.map((snapshot) => snapshot.name.length));
+        return snapshots.map((snapshot) => `${snapshot.name.padEnd(width)}  ${formatTimestamp(snapshot.created)}${snapshot.automatic ? "  (automatic)" : ""}`).join("\n");
+      }
+
+      if (!["diff", "restore", "delete"].includes(subcommand)) {
+        return fail('snapshot: Invalid subcommand. Use "create", "list", "diff", "restore" or "delete".');
+      }
+      if (!name) return fail(`Usage: snapshot ${subcommand} <name>`);
+
+      if (subcommand === "delete") {
+        const { error } = await deleteSnapshot(userId, name);
+        return error ? fail(`snapshot: ${error}`) : `Deleted snapshot ${name}`;
+      }
+
+      const { snapshot, error } = await findSnapshot(userId, name);
+      if (error) return fail(`snapshot: ${error}`);
+
+      if (subcommand === "diff") {
+        const changes = diffFilesystems(snapshot.filesystem, userFS);
+        return changes.length ? limitSearchResults("snapshot", changes, []) : `No changes since snapshot ${name}`;
+      }
+
+      // Stay in the current directory if the snapshot has it too
+      const restored = snapshot.filesystem;
+      const stays = getNodeAtPath(restored, userFS.currentDir)?.type === "directory";
+      restored.currentDir = stays ? userFS.currentDir : restored.home || "/";
+      restored.previousDir = stays ? userFS.previousDir : undefined;
+
+      await saveFilesystem(userId, restored);
+      return `Restored snapshot ${name} from ${formatTimestamp(snapshot.created)}`;
     },
   },
 
   netset: {
+    description: "Set the simulated network speed",
+    usage: "netset <unit> <value>",
+    options: {
+      unit: "One of bps, kbps, mbps, gbps or tbps",
+    },
+    examples: ["netset mbps 50", "netset 2 gbps"],
     execute: async (userId, args) => {
       if (args.length < 2) {
-        return "Usage: netset <unit> <value> or netset <value> <unit>\nAvailable units: bps, kbps, mbps, gbps, tbps";
+        return fail("Usage: netset <unit> <value> or netset <value> <unit>\nAvailable units: bps, kbps, mbps, gbps, tbps");
       }
 
       let unit = args[0].toLowerCase();
@@ -145,7 +742,7 @@ const systemCommands = {
       }
 
       if (isNaN(value) || value <= 0) {
-        return "Invalid speed value. Please provide a positive number.";
+        return fail("Invalid speed value. Please provide a positive number.");
       }
 
       const { getUserNetworkConfig, saveUserNetworkConfig, recalculateDownloadSteps } = require("./network");
@@ -160,7 +757,7 @@ const systemCommands = {
         case "gbps":  speedInMbps = value * 1e3;break;
         case "tbps":  speedInMbps = value * 1e6;break;
         default:
-          return `Unknown unit: ${unit}. Available units: bps, kbps, mbps, gbps, tbps`;
+          return fail(`Unknown unit: ${unit}. Available units: bps, kbps, mbps, gbps, tbps`);
       }
 
       config.speed = speedInMbps;
@@ -185,6 +782,9 @@ const systemCommands = {
   },
 
   netinfo: {
+    description: "Show the simulated network configuration",
+    usage: "netinfo",
+    examples: ["netinfo"],
     execute: async (userId, args) => {
       const config = await getUserNetworkConfig(userId);
 
@@ -198,6 +798,9 @@ Network Simulation: ${config.enabled ? "Enabled" : "Disabled"}`;
   },
 
   nettoggle: {
+    description: "Turn the network simulation on or off",
+    usage: "nettoggle",
+    examples: ["nettoggle"],
     execute: async (userId, args) => {
       const config = await getUserNetworkConfig(userId);
       config.enabled = !config.enabled;
@@ -207,10 +810,13 @@ Network Simulation: ${config.enabled ? "Enabled" : "Disabled"}`;
   },
 
   netlatency: {
+    description: "Set the simulated network latency",
+    usage: "netlatency <ms>",
+    examples: ["netlatency 120"],
     execute: async (userId, args) => {
-      if (args.length < 1) return "Usage: netlatency <value in ms>";
+      if (args.length < 1) return fail("Usage: netlatency <value in ms>");
       const value = parseFloat(args[0]);
-      if (isNaN(value) || value < 0) return "Invalid latency value. Please provide a non-negative number.";
+      if (isNaN(value) || value < 0) return fail("Invalid latency value. Please provide a non-negative number.");
 
       // Update config
       const { getUserNetworkConfig, saveUserNetworkConfig, recalculateDownloadSteps } = require("./network");
@@ -233,10 +839,13 @@ Network Simulation: ${config.enabled ? "Enabled" : "Disabled"}`;
   },
 
   netjitter: {
+    description: "Set the simulated network jitter",
+    usage: "netjitter <ms>",
+    examples: ["netjitter 15"],
     execute: async (userId, args) => {
-      if (args.length < 1) return "Usage: netjitter <value in ms>";
+      if (args.length < 1) return fail("Usage: netjitter <value in ms>");
       const value = parseFloat(args[0]);
-      if (isNaN(value) || value < 0) return "Invalid jitter value. Please provide a non-negative number.";
+      if (isNaN(value) || value < 0) return fail("Invalid jitter value. Please provide a non-negative number.");
 
       // Update config
       const { getUserNetworkConfig, saveUserNetworkConfig, recalculateDownloadSteps } = require("./network");
@@ -259,10 +868,13 @@ Network Simulation: ${config.enabled ? "Enabled" : "Disabled"}`;
   },
 
   netloss: {
+    description: "Set the simulated packet loss",
+    usage: "netloss <percentage>",
+    examples: ["netloss 2.5"],
     execute: async (userId, args) => {
-      if (args.length < 1) return "Usage: netloss <percentage>";
+      if (args.length < 1) return fail("Usage: netloss <percentage>");
       const value = parseFloat(args[0]);
-      if (isNaN(value) || value < 0 || value > 100) return "Invalid packet loss value. Please provide a number between 0 and 100.";
+      if (isNaN(value) || value < 0 || value > 100) return fail("Invalid packet loss value. Please provide a number between 0 and 100.");
 
       // Update config
       const { getUserNetworkConfig, saveUserNetworkConfig, recalculateDownloadSteps } = require("./network");
@@ -285,58 +897,941 @@ Network Simulation: ${config.enabled ? "Enabled" : "Disabled"}`;
   },
 
   cat: {
+    description: "Print files, or piped input when no file is given",
+    usage: "cat [file...]",
+    examples: ["cat notes.txt", "ls | cat"],
+    execute: async (userId, args, stdin) => {
+      if (!args.length) {
+        // With no filename, pass piped input straight through
+        if (stdin !== undefined) return stdin;
+        return fail("cat: Missing filename");
+      }
+
+      const userFS = await loadFilesystem(userId);
+      const output = [];
+      const errors = [];
+
+      for (const arg of args) {
+        const fullPath = resolvePath(userFS.currentDir, arg, userFS.home);
+
+        const { content, binary, error } = readFile(userFS, fullPath);
+        if (error) errors.push(`cat: ${error}`);
+        // Archives and other binary files would only print as noise
+        else if (binary) errors.push(`cat: ${arg}: Binary file, use download to get it`);
+        else output.push(content);
+      }
+
+      // Keep the access times readFile updated
+      await saveFilesystem(userId, userFS);
+
+      // A single empty file is called out so the reply isn't blank
+      if (args.length === 1 && output.length === 1 && !output[0]) return "(empty file)";
+
+      return collect(output, errors);
+    },
+  },
+
+  download: {
+    description: "Send a file, or a directory as a zip archive, as a Discord attachment",
+    usage: "download <path>",
+    examples: ["download notes.txt", "download ~", "download /sys/os"],
     execute: async (userId, args) => {
-      if (!args.length) return "cat: Missing filename";
+      if (args.length !== 1) return fail("Usage: download <path>");
 
-      const userFS = await loadFromDB("user_filesystems", userId, createFilesystem());
-      const fullPath = resolvePath(userFS.currentDir, args.join(" "));
+      const userFS = await loadFilesystem(userId);
+      const fullPath = resolvePath(userFS.currentDir, args[0], userFS.home);
+      const node = getNodeAtPath(userFS, fullPath);
+      if (!node) return fail(`download: ${fullPath}: No such file or directory`);
 
-      const { target, found, error } = getObjectAtPath(userFS, fullPath);
-      if (error) return `cat: ${error}`;
-      if (!found) return `cat: ${fullPath}: No such file`;
+      const baseName = path.basename(fullPath) || "root";
+      const errors = [];
+      let attachment;
 
-      if (target.type === "directory") return `cat: ${fullPath}: Is a directory`;
-      if (target.readOnly && target.hidden) return `cat: ${fullPath}: Permission denied`;
+      if (node.type !== "directory") {
+        const { data, error } = readFile(userFS, fullPath);
+        if (error) return fail(`download: ${error}`);
+        attachment = { name: baseName, data };
+      } else {
+        const { error } = checkAccess(userFS, fullPath, "rx");
+        if (error) return fail(`download: ${error}`);
 
-      return target.content || "(empty file)";
+        const { entries, denied } = collectEntries(node, baseName);
+        errors.push(...denied.map((relative) => `download: ${joinDisplayPath(args[0], relative)}: Permission denied`));
+        attachment = { name: `${baseName}.zip`, data: createZip(entries) };
+      }
+
+      if (attachment.data.length > MAX_ATTACHMENT_SIZE) {
+        return fail(`download: ${attachment.name} is larger than Discord's ${formatDiskSize(MAX_ATTACHMENT_SIZE)} attachment limit`);
+      }
+
+      // Keep the access time readFile updated
+      await saveFilesystem(userId, userFS);
+
+      getSession(userId).attachments.push(attachment);
+      return collect([`Sending ${attachment.name} (${attachment.data.length} bytes)`], errors);
     },
   },
-};
 
-// Commands that need to be installed via pkg manager
-// Define the structure first, will be populated later by registerPackageCommands
-const installableCommands = {
-  echo: {
-    execute: async (interaction, userId, args) => {
-      const userFS = await loadFromDB("user_filesystems", userId, createFilesystem());
-      const splitIndex = args.indexOf(">>");
-      let content = "";
+  grep: {
+    description: "Print lines matching a regular expression",
+    usage: "grep [-r] [-i] [-n] [-v] <pattern> [path...]",
+    options: {
+      "-r": "Search directories and everything inside them, the current directory if no path is given",
+      "-i": "Ignore case",
+      "-n": "Prefix each line with its line number",
+      "-v": "Print the lines that don't match instead",
+    },
+    examples: ["grep error log.txt", "env | grep ^OS", "grep -rin todo /notes"],
+    execute: async (userId, args, stdin) => {
+      const flags = new Set();
+      let index = 0;
+
+      for (; index < args.length && /^-[a-zA-Z]+$/.test(args[index]); index++) {
+        for (const flag of args[index].slice(1)) {
+          if (!"rinv".includes(flag)) return fail(`grep: Invalid option: -${flag}`);
+          flags.add(flag);
+        }
+      }
+      if (args[index] === "--") index++;
+      if (index >= args.length) return fail(`Usage: ${systemCommands.grep.usage}`);
+
+      const { regex: pattern, error: patternError } = compileRegExp(args[index], flags.has("i") ? "i" : "");
+      if (patternError) return fail(`grep: ${patternError}`);
+
+      const recursive = flags.has("r");
+      const files = args.slice(index + 1);
+      if (recursive && !files.length) files.push(".");
+
+      const matches = [];
+      const errors = [];
+      // Lines too long to match in reasonable time are skipped, with one error for each file that has them
+      const readLines = (content, name) => {
+        const lines = content.split("\n");
+        if (lines.some((line) => line.length > MAX_MATCH_LINE_LENGTH)) {
+          errors.push(`grep: ${name}: Lines longer than ${MAX_MATCH_LINE_LENGTH} characters skipped`);
+        }
+        return lines;
+      };
+      const selects = (line) => line.length <= MAX_MATCH_LINE_LENGTH && pattern.test(line) !== flags.has("v");
+      const searchLines = (content, name, prefix) =>
+        readLines(content, name).forEach((line, lineIndex) => {
+          if (!selects(line)) return;
+          matches.push(`${prefix}${flags.has("n") ? `${lineIndex + 1}:` : ""}${line}`);
+        });
+      // Like grep, binary files only say whether they match
+      const searchBinary = (content, name) => {
+        if (readLines(content, name).some(selects)) matches.push(`Binary file ${name} matches`);
+      };
+
+      if (files.length) {
+        const userFS = await loadFilesystem(userId);
+
+        for (const file of files) {
+          const fullPath = resolvePath(userFS.currentDir, file, userFS.home);
+          const node = getNodeAtPath(userFS, fullPath);
+
+          if (!recursive || node?.type !== "directory") {
+            const { content, binary, error } = readFile(userFS, fullPath);
+            if (error) errors.push(`grep: ${error}`);
+            else if (binary) searchBinary(content, file);
+            // With several files or a recursive search, each match is prefixed with the file it came from
+            else searchLines(content, file, files.length > 1 || recursive ? `${file}:` : "");
+            continue;
+          }
+
+          const { error } = checkAccess(userFS, fullPath);
+          if (error) {
+            errors.push(`grep: ${error}`);
+            continue;
+          }
+
+          for (const entry of walkTree(node)) {
+            const displayPath = joinDisplayPath(file, entry.relative);
+            if (entry.denied || (entry.node.type === "file" && !hasAccess(entry.node, "r"))) {
+              errors.push(`grep: ${displayPath}: Permission denied`);
+            } else if (entry.node.type === "file" && entry.node.encoding === "base64") {
+              searchBinary(getFileData(entry.node).toString(), displayPath);
+            } else if (entry.node.type === "file") {
+              searchLines(entry.node.content || "", displayPath, `${displayPath}:`);
+            }
+          }
+        }
+      } else if (stdin !== undefined) {
+        searchLines(stdin, "(standard input)", "");
+      } else {
+        return fail("grep: Missing filename");
+      }
+
+      const result = limitSearchResults("grep", matches, errors);
+
+      // Like grep, exit with status 1 when nothing matched
+      return errors.length || matches.length ? result : fail("");
+    },
+  },
+
+  find: {
+    description: "List files and directories below a path, optionally filtered by name and type",
+    usage: "find [path...] [-name pattern] [-type f|d|l]",
+    options: {
+      "-name pattern": "Only entries whose name matches a glob pattern, quoted so the shell doesn't expand it",
+      "-type f|d|l": "Only files (f), directories (d) or symbolic links (l)",
+    },
+    examples: ["find", 'find /notes -name "*.md"', "find / -type d -name pkgs"],
+    execute: async (userId, args) => {
+      const starts = [];
+      let namePattern = null;
+      let type = null;
+
+      for (let i = 0; i < args.length; i++) {
+        if (args[i] === "-name" || args[i] === "-type") {
+          const value = args[++i];
+          if (value === undefined) return fail(`find: Missing argument to ${args[i - 1]}`);
+
+          if (args[i - 1] === "-name") namePattern = globToRegExp(value);
+          else if (["f", "d", "l"].includes(value)) type = { f: "file", d: "directory", l: "symlink" }[value];
+          else return fail(`find: Unknown argument to -type: ${value}`);
+        } else if (args[i].startsWith("-")) {
+          return fail(`find: Unknown predicate: ${args[i]}`);
+        } else if (namePattern || type) {
+          return fail(`find: Paths must come before the expression: ${args[i]}`);
+        } else {
+          starts.push(args[i]);
+        }
+      }
+      if (!starts.length) starts.push(".");
+
+      const userFS = await loadFilesystem(userId);
+      const found = [];
+      const errors = [];
+
+      for (const start of starts) {
+        const fullPath = resolvePath(userFS.currentDir, start, userFS.home);
+        const node = getNodeAtPath(userFS, fullPath);
+        const { error } = checkAccess(userFS, fullPath);
+
+        if (!node) {
+          errors.push(`find: ${fullPath}: No such file or directory`);
+          continue;
+        }
+        if (error) {
+          errors.push(`find: ${error}`);
+          continue;
+        }
+
+        for (const entry of walkTree(node)) {
+          const displayPath = joinDisplayPath(start, entry.relative);
+          const name = path.basename(entry.relative || fullPath) || "/";
+
+          if ((!namePattern || namePattern.test(name)) && (!type || entry.node.type === type)) found.push(displayPath);
+          if (entry.denied) errors.push(`find: ${displayPath}: Permission denied`);
+        }
+      }
+
+      return limitSearchResults("find", found, errors);
+    },
+  },
+
+  "[": {
+    description: "Evaluate a test expression, exiting with 0 when it is true",
+    usage: "[ expression ]",
+    options: {
+      "-z STRING": "String is empty",
+      "-n STRING": "String is not empty",
+      "-e PATH": "Path exists",
+      "-f PATH": "Path is a file",
+      "-d PATH": "Path is a directory",
+      "-L PATH, -h PATH": "Path is a symbolic link",
+      "A = B, A != B": "Strings are equal or different",
+      "A -eq B": "Integers compare with -eq, -ne, -lt, -le, -gt or -ge",
+      "! EXPR": "Negate an expression",
+    },
+    examples: ["[ -f notes.txt ] && cat notes.txt", '[ "$USER" != root ]'],
+    execute: async (userId, args) => {
+      if (args[args.length - 1] !== "]") return fail("[: Missing closing ']'", 2);
+
+      const userFS = await loadFilesystem(userId);
+      const outcome = evaluateTest(userFS, args.slice(0, -1));
+      if (outcome.error) return fail(`[: ${outcome.error}`, 2);
+
+      return outcome.value ? ok() : fail();
+    },
+  },
+
+  export: {
+    description: "Export variables to the environment, or list exported variables",
+    usage: "export [name[=value]...]",
+    examples: ["export EDITOR=edit", "export GREETING"],
+    execute: async (userId, args, stdin, scope) => {
+      const env = await getEnvironment(userId);
+      const variables = scope?.variables || getSession(userId).variables;
+
+      if (!args.length) {
+        return Object.keys(env)
+          .sort()
+          .map((name) => `export ${name}="${env[name]}"`)
+          .join("\n");
+      }
+
+      for (const arg of args) {
+        const separator = arg.indexOf("=");
+        const name = separator === -1 ? arg : arg.slice(0, separator);
+
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) return fail(`export: \`${arg}': not a valid identifier`);
+        if (READONLY_VARIABLES.includes(name)) return fail(`export: ${name}: readonly variable`);
+
+        // "export NAME" exports the current shell variable, "export NAME=value" sets it too
+        env[name] = separator === -1 ? variables[name] ?? env[name] ?? "" : arg.slice(separator + 1);
+        delete variables[name];
+      }
+
+      return ok();
+    },
+  },
+
+  unset: {
+    description: "Remove shell and environment variables",
+    usage: "unset <name...>",
+    examples: ["unset EDITOR"],
+    execute: async (userId, args, stdin, scope) => {
+      if (!args.length) return fail("Usage: unset <name> [name...]");
+
+      const env = await getEnvironment(userId);
+      const variables = scope?.variables || getSession(userId).variables;
+
+      for (const name of args) {
+        if (READONLY_VARIABLES.includes(name)) return fail(`unset: ${name}: readonly variable`);
+        delete env[name];
+        delete variables[name];
+      }
+
+      return ok();
+    },
+  },
+
+  env: {
+    description: "List environment variables",
+    usage: "env",
+    examples: ["env", "env | grep OS"],
+    execute: async (userId) => {
+      const userFS = await loadFilesystem(userId);
+      const env = { ...(await getEnvironment(userId)), ...getBuiltinVariables(userFS, getSession(userId)) };
+
+      return Object.keys(env)
+        .sort()
+        .map((name) => `${name}=${env[name]}`)
+        .join("\n");
+    },
+  },
+
+  alias: {
+    description: "Define or list command aliases",
+    usage: "alias [name[=value]...]",
+    examples: ["alias ll='ls /'", "alias ll", "alias"],
+    execute: async (userId, args) => {
+      const userFS = await loadFilesystem(userId);
+      const aliases = loadAliases(userFS);
+
+      if (!args.length) {
+        return Object.keys(aliases)
+          .sort()
+          .map((name) => formatAlias(name, aliases[name]))
+          .join("\n");
+      }
+
+      const listed = [];
+      let changed = false;
+
+      for (const arg of args) {
+        const separator = arg.indexOf("=");
 
-      if (splitIndex === -1) {
-        content = args.join(" ");
+        // "alias name" prints a single alias
+        if (separator === -1) {
+          if (!Object.hasOwn(aliases, arg)) return fail(`alias: ${arg}: not found`);
+          listed.push(formatAlias(arg, aliases[arg]));
+          continue;
+        }
+
+        const name = arg.slice(0, separator);
+        if (!ALIAS_NAME_PATTERN.test(name)) return fail(`alias: \`${name}': invalid alias name`);
+
+        aliases[name] = arg.slice(separator + 1);
+        changed = true;
+      }
+
+      if (changed) {
+        const { error } = saveAliases(userFS, aliases);
+        if (error) return fail(`alias: ${error}`);
+        await saveFilesystem(userId, userFS);
+      }
+
+      return listed.join("\n");
+    },
+  },
+
+  unalias: {
+    description: "Remove command aliases",
+    usage: "unalias [-a] <name...>",
+    options: {
+      "-a": "Remove every alias",
+    },
+    examples: ["unalias ll", "unalias -a"],
+    execute: async (userId, args) => {
+      if (!args.length) return fail("Usage: unalias [-a] <name> [name...]");
+
+      const userFS = await loadFilesystem(userId);
+      let aliases = loadAliases(userFS);
+
+      if (args[0] === "-a") {
+        aliases = {};
       } else {
-        content = args.slice(0, splitIndex).join(" ");
+        for (const name of args) {
+          if (!Object.hasOwn(aliases, name)) return fail(`unalias: ${name}: not found`);
+          delete aliases[name];
+        }
       }
 
-      if (content.length > MAX_CONTENT_LENGTH) {
-        return `Error: File content exceeds the limit of ${MAX_CONTENT_LENGTH} characters.`;
+      const { error } = saveAliases(userFS, aliases);
+      if (error) return fail(`unalias: ${error}`);
+      await saveFilesystem(userId, userFS);
+      return ok();
+    },
+  },
+
+  history: {
+    description: "List or clear the command history",
+    usage: "history [-c] [count | text]",
+    options: {
+      "-c": "Clear the history",
+      count: "List this many of the most recent commands",
+      text: "Only list commands containing this text",
+    },
+    examples: ["history", "history 50", "history grep", "!!", "!12", "!cd"],
+    execute: async (userId, args) => {
+      if (args[0] === "-c") {
+        await clearCommandHistory(userId);
+        return ok();
       }
 
-      if (splitIndex !== -1) {
-        const filePath = resolvePath(userFS.currentDir, args.slice(splitIndex + 1).join(" "));
-        const { parent, fileName, error } = getObjectAtPath(userFS, filePath, true);
+      // "history 50" lists the last 50 commands, "history cd" the last commands containing "cd"
+      const history = await loadCommandHistory(userId);
+      const count = /^\d+$/.test(args[0] || "") ? parseInt(args[0], 10) : DEFAULT_HISTORY_LIST_SIZE;
+      const filter = args.length && !/^\d+$/.test(args[0]) ? args.join(" ") : null;
+
+      if (count === 0) return ok();
+      return ok(formatHistory(history, filter, count));
+    },
+  },
+
+  jobs: {
+    description: "List background jobs started with &",
+    usage: "jobs",
+    examples: ["pkg install echo &", "jobs"],
+    execute: async (userId) => {
+      const running = [...getJobTable(userId).values()].map((job) => formatJob(userId, job));
+
+      // Like a shell, finished jobs are listed one last time and then forgotten
+      collectFinishedJobs(userId);
+      return running.join("\n");
+    },
+  },
+
+  fg: {
+    description: "Bring a background job to the foreground and show its output",
+    usage: "fg [%n]",
+    examples: ["fg", "fg %2"],
+    execute: async (userId, args) => {
+      const { job, error } = findJob(userId, args[0]);
+      if (error) return fail(`fg: ${error}`);
+
+      // Wait for the job's commands; downloads it started keep updating the reply like foreground ones
+      job.foreground = true;
+      await job.promise;
+
+      const output = [job.command, ...job.output];
+      if (getJobState(userId, job) === "Running" && job.progress) output.push(job.progress);
+      else getJobTable(userId).delete(job.id);
 
-        if (error) return `echo: ${error}`;
+      return { stdout: output.join("\n"), stderr: "", code: job.code ?? 0 };
+    },
+  },
 
-        parent.children[fileName] = { type: "file", content };
-        await saveToDB("user_filesystems", userId, userFS);
-        return `Written to ${filePath}`;
+  kill: {
+    description: "Stop background jobs and cancel their downloads",
+    usage: "kill %n [%n...]",
+    examples: ["kill %1", "kill %1 %3"],
+    execute: async (userId, args) => {
+      if (!args.length) return fail("Usage: kill %n [%n...]", 2);
+
+      const errors = [];
+      for (const spec of args) {
+        const { job, error } = spec.startsWith("%") ? findJob(userId, spec) : { error: `${spec}: only job specs such as %1 are supported` };
+        if (error) errors.push(`kill: ${error}`);
+        else if (!killJob(userId, job)) errors.push(`kill: %${job.id}: job has already finished`);
       }
 
-      return content;
+      return collect([], errors);
     },
   },
 
+  man: {
+    description: "Show the manual page of a command or package",
+    usage: "man <command> [--page n]",
+    options: {
+      "--page n": "Show page n of a long manual page",
+    },
+    examples: ["man ls", "man pkg", "man grep --page 2"],
+    execute: async (userId, args) => {
+      const pageArgIndex = args.indexOf("--page");
+      const pageNumber = pageArgIndex !== -1 ? parseInt(args[pageArgIndex + 1], 10) || 1 : 1;
+      const name = args.find((arg, index) => pageArgIndex === -1 || (index !== pageArgIndex && index !== pageArgIndex + 1));
+      if (!name) return fail("What manual page do you want?\nUsage: man <command> [--page n]");
+
+      const userFS = await loadFilesystem(userId);
+      const manPage = getManPage(userFS, name);
+      if (manPage === null) return fail(`man: No manual entry for ${name}`);
+
+      const { text, error } = paginate(manPage, `man ${name}`, pageNumber);
+      return error ? fail(error) : ok(text);
+    },
+  },
+
+  help: {
+    description: "List the commands and packages available on this system",
+    usage: "help [--page n] [command...]",
+    options: {
+      "--page n": "Show page n of the listing",
+    },
+    examples: ["help", "help --page 2", "help grep cat"],
+    execute: async (userId, args) => {
+      const pageArgIndex = args.indexOf("--page");
+      const pageNumber = pageArgIndex !== -1 ? parseInt(args[pageArgIndex + 1], 10) || 1 : 1;
+
+      // "help name" prints just the usage line and description, like the bash builtin
+      if (args.length && pageArgIndex === -1) {
+        const output = [];
+        const errors = [];
+
+        for (const name of args) {
+          const manual = getManual(name);
+          if (manual) output.push(`${name}: ${manual.usage || name}\n    ${manual.description || "No description available"}`);
+          else errors.push(`help: no help topics match \`${name}'`);
+        }
+
+        return collect(output, errors);
+      }
+
+      const userFS = await loadFilesystem(userId);
+      const sysDir = userFS.fs["/"].children.sys;
+      const currentVersion = sysDir.children.os_version?.content || "1.0.0";
+      const currentBranch = sysDir.children.os_branch?.content || "stable";
+
+      const commands = { ...systemCommands, ...SHELL_MANUALS };
+      const packages = Object.keys(packageDefinitions).filter((name) => pkgModule.isPackageAvailable(name, currentVersion, currentBranch));
+      const width = Math.max(...[...Object.keys(commands), ...packages].map((name) => name.length));
+
+      const lines = ["Commands:"];
+      for (const name of Object.keys(commands).sort()) {
+        lines.push(`  ${name.padEnd(width)}  ${commands[name].description || ""}`);
+      }
+
+      lines.push(`Packages (v${currentVersion}, ${currentBranch} branch):`);
+      for (const name of packages.sort()) {
+        const installed = sysDir.children.pkgs.children[`${name}.pkg`] ? " (installed)" : "";
+        lines.push(`  ${name.padEnd(width)}  ${pkgModule.packageManuals[name]?.description || ""}${installed}`);
+      }
+
+      lines.push('Run "man <command>" for details.');
+
+      const { text, error } = paginate(lines.join("\n"), "help", pageNumber);
+      return error ? fail(error) : ok(text);
+    },
+  },
+
+  true: {
+    description: "Do nothing, successfully",
+    usage: "true",
+    examples: ["true && ls"],
+    execute: async () => ok(),
+  },
+
+  false: {
+    description: "Do nothing, unsuccessfully",
+    usage: "false",
+    examples: ["false || ls"],
+    execute: async () => fail(),
+  },
+};
+
+/**
+ * Find the metadata a command or package describes itself with
+ * @param {string} name - Command or package name
+ * @returns {Object|null} - { description, usage, options, examples } or null if nothing is known about it
+ */
+function getManual(name) {
+  if (Object.hasOwn(systemCommands, name)) return systemCommands[name];
+  if (Object.hasOwn(SHELL_MANUALS, name)) return SHELL_MANUALS[name];
+  return pkgModule.packageManuals[name] || null;
+}
+
+/**
+ * Get the full man page of a command or package
+ * @param {Object} userFS - User's filesystem, checked first for pages installed to /sys/man
+ * @param {string} name - Command or package name
+ * @returns {string|null} - Man page text or null if there is none
+ */
+function getManPage(userFS, name) {
+  const installed = getNodeAtPath(userFS, `${MAN_DIR}/${name}`);
+  if (installed?.type === "file" && !name.includes("/")) return installed.content || "";
+
+  const manual = getManual(name);
+  return manual ? formatManPage(name, manual) : null;
+}
+
+/**
+ * Draw the entries of a directory with box-drawing characters, the way tree does
+ * @param {Object} dir - Directory node
+ * @param {string} prefix - Lines drawn for the levels above, e.g. "│   "
+ * @param {number} depth - Depth of the directory's entries, starting at 1
+ * @param {Object} options - { all, dirsOnly, maxDepth }
+ * @param {Object} counts - { directories, files }, incremented for every entry drawn
+ * @returns {Array<string>} - One line per entry
+ */
+function renderTree(dir, prefix, depth, options, counts) {
+  if (!hasAccess(dir, "rx")) return [`${prefix}└── [error opening dir]`];
+
+  const names = Object.keys(dir.children)
+    .filter((name) => options.all || !name.startsWith("."))
+    .filter((name) => !options.dirsOnly || dir.children[name].type === "directory")
+    .sort();
+  const lines = [];
+
+  names.forEach((name, index) => {
+    const node = dir.children[name];
+    const last = index === names.length - 1;
+    lines.push(`${prefix}${last ? "└── " : "├── "}${node.type === "symlink" ? `${name} -> ${node.target}` : name}`);
+
+    if (node.type !== "directory") {
+      counts.files++;
+      return;
+    }
+
+    counts.directories++;
+    if (depth < options.maxDepth) lines.push(...renderTree(node, `${prefix}${last ? "    " : "│   "}`, depth + 1, options, counts));
+  });
+
+  return lines;
+}
+
+/**
+ * Order walkTree entries so that each directory comes after everything inside it
+ * @param {Object} a - Entry with a relative path
+ * @param {Object} b - Entry with a relative path
+ * @returns {number} - Negative when a comes first
+ */
+function comparePostOrder(a, b) {
+  const partsA = a.relative ? a.relative.split("/") : [];
+  const partsB = b.relative ? b.relative.split("/") : [];
+
+  for (let i = 0; i < Math.min(partsA.length, partsB.length); i++) {
+    if (partsA[i] !== partsB[i]) return partsA[i] < partsB[i] ? -1 : 1;
+  }
+  return partsB.length - partsA.length;
+}
+
+/**
+ * Format a size the way df -h and du -h do
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - e.g. "512", "4.0K" or "20M"
+ */
+function formatDiskSize(bytes) {
+  const units = ["", "K", "M", "G"];
+  let value = bytes;
+  let unit = 0;
+
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+
+  if (unit === 0) return String(value);
+  // One decimal below 10, rounded up so a size is never shown smaller than it is
+  return value < 10 ? `${(Math.ceil(value * 10) / 10).toFixed(1)}${units[unit]}` : `${Math.ceil(value)}${units[unit]}`;
+}
+
+/**
+ * Format a node timestamp in UTC
+ * @param {number} time - Milliseconds since the epoch
+ * @param {boolean} [precise] - Include seconds and milliseconds, as stat does
+ * @returns {string} - e.g. "2026-10-19 14:03" or "2026-10-19 14:03:22.123 UTC"
+ */
+function formatTimestamp(time, precise = false) {
+  const iso = new Date(time).toISOString().replace("T", " ");
+  return precise ? iso.replace("Z", " UTC") : iso.slice(0, 16);
+}
+
+/**
+ * Format directory entries the way ls -l does, with aligned columns
+ * @param {Array<Object>} entries - { name, node } for each entry, already sorted
+ * @param {string} username - Name of the terminal user
+ * @returns {string} - One line per entry
+ */
+function formatLongListing(entries, username) {
+  const rows = entries.map(({ name, node }) => [
+    formatMode(node),
+    getOwnerName(node.owner, username),
+    getOwnerName(node.group, username),
+    String(getSize(node)),
+    formatTimestamp(node.modified),
+    node.type === "symlink" ? `${name} -> ${node.target}` : name,
+  ]);
+
+  const widths = [1, 2, 3].map((column) => Math.max(0, ...rows.map((row) => row[column].length)));
+  return rows
+    .map(([mode, owner, group, size, modified, name]) => {
+      return `${mode} ${owner.padEnd(widths[0])} ${group.padEnd(widths[1])} ${size.padStart(widths[2])} ${modified} ${name}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Join a path as given on the command line with a path below it, keeping the given form as find does
+ * @param {string} start - Path as given, e.g. "." or "/notes"
+ * @param {string} relative - Path relative to it, or "" for the start itself
+ * @returns {string} - e.g. "./a.md" or "/notes/sub/b.txt"
+ */
+function joinDisplayPath(start, relative) {
+  return relative ? `${start.replace(/\/+$/, "")}/${relative}` : start;
+}
+
+/**
+ * Build a find, grep, du or other listing result, cutting the output short once it gets too long for a message
+ * @param {string} command - Command name, used in the notice about omitted lines
+ * @param {Array<string>} lines - Output lines
+ * @param {Array<string>} errors - Error messages
+ * @returns {Object} - Command result, with any truncation notice on stderr
+ */
+function limitSearchResults(command, lines, errors) {
+  let shown = 0;
+  let length = 0;
+  while (shown < lines.length && shown < MAX_SEARCH_RESULTS && length + lines[shown].length < MAX_SEARCH_OUTPUT_LENGTH) {
+    length += lines[shown].length + 1;
+    shown++;
+  }
+
+  // The notice doesn't count as an error, so a long but successful search still exits with 0
+  const notice = shown < lines.length ? [`${command}: ${lines.length - shown} more lines not shown`] : [];
+  const result = collect(lines.slice(0, shown), [...errors.slice(0, MAX_SEARCH_RESULTS), ...notice]);
+  return errors.length ? result : { ...result, code: 0 };
+}
+
+/**
+ * Check whether a node and everything inside it can be read for copying
+ * @param {Object} node - File or directory node
+ * @returns {boolean} - Whether every file is readable and every directory readable and searchable
+ */
+function isCopyable(node) {
+  if (node.type !== "directory") return hasAccess(node, "r");
+  return hasAccess(node, "rx") && Object.values(node.children).every(isCopyable);
+}
+
+/**
+ * Copy or move paths, shared by cp and mv
+ *
+ * Like their Unix counterparts, a destination that is an existing directory receives the sources
+ * under their own names, and anything else is the new path of a single source.
+ * @param {string} command - "cp" or "mv"
+ * @param {string} userId - User ID
+ * @param {Array<string>} args - Options, sources and the destination
+ * @returns {Promise<Object>} - Command result
+ */
+async function transferPaths(command, userId, args) {
+  const move = command === "mv";
+  const validFlags = move ? "fn" : "rRfn";
+  let recursive = false;
+  let overwrite = "replace";
+  let index = 0;
+
+  for (; index < args.length && /^-[a-zA-Z]+$/.test(args[index]); index++) {
+    for (const flag of args[index].slice(1)) {
+      if (!validFlags.includes(flag)) return fail(`${command}: Invalid option: -${flag}`);
+      if (flag === "r" || flag === "R") recursive = true;
+      // The later of -f and -n wins
+      else overwrite = flag === "f" ? "force" : "skip";
+    }
+  }
+  if (args[index] === "--") index++;
+
+  const paths = args.slice(index);
+  if (paths.length < 2) return fail(`Usage: ${systemCommands[command].usage}`);
+
+  const userFS = await loadFilesystem(userId);
+  const sources = paths.slice(0, -1);
+  const destPath = resolvePath(userFS.currentDir, paths[paths.length - 1], userFS.home);
+  const destIsDir = getNodeAtPath(userFS, destPath)?.type === "directory";
+
+  if (sources.length > 1 && !destIsDir) return fail(`${command}: Target '${destPath}' is not a directory`);
+
+  const output = [];
+  const errors = [];
+
+  for (const source of sources) {
+    const sourcePath = resolvePath(userFS.currentDir, source, userFS.home);
+    // mv moves a link itself, while cp copies what it points to
+    const sourceRealPath = resolveLinks(userFS, sourcePath, !move).path;
+    const node = sourceRealPath && getNodeAtPath(userFS, sourceRealPath, false);
+    const targetPath = destIsDir ? path.join(destPath, path.basename(sourcePath) || "/") : destPath;
+
+    if (!node) {
+      errors.push(`${command}: ${sourcePath}: No such file or directory`);
+      continue;
+    }
+    if (checkAccess(userFS, sourcePath).error || (!move && !isCopyable(node))) {
+      errors.push(`${command}: ${sourcePath}: Permission denied`);
+      continue;
+    }
+    if (node.type === "directory" && !move && !recursive) {
+      errors.push(`cp: -r not specified; omitting directory '${sourcePath}'`);
+      continue;
+    }
+    if (targetPath === sourcePath) {
+      errors.push(`${command}: '${sourcePath}' and '${targetPath}' are the same file`);
+      continue;
+    }
+    // Links are resolved first, so a link to a directory can't be used to put the directory inside itself
+    const targetRealPath = resolveLinks(userFS, targetPath, false).path || targetPath;
+    if (node.type === "directory" && (sourceRealPath === "/" || targetRealPath.startsWith(`${sourceRealPath}/`))) {
+      errors.push(`${command}: Cannot ${move ? "move" : "copy"} '${sourcePath}' into itself, '${targetPath}'`);
+      continue;
+    }
+
+    const { parent, fileName, target: existing, error } = getObjectAtPath(userFS, targetPath, false, !move);
+    if (error || !fileName) {
+      errors.push(`${command}: ${error || `Cannot overwrite '${targetPath}'`}`);
+      continue;
+    }
+
+    if (existing) {
+      if (overwrite === "skip") continue;
+      if (existing.type === "directory") {
+        errors.push(`${command}: Cannot overwrite directory '${targetPath}'`);
+        continue;
+      }
+      if (node.type === "directory") {
+        errors.push(`${command}: Cannot overwrite non-directory '${targetPath}' with directory '${sourcePath}'`);
+        continue;
+      }
+    }
+
+    // cp writes into an existing file, keeping the file's owner and mode, unless -f replaces it;
+    // replacing or creating an entry needs write access to its directory instead
+    const writesInPlace = !move && existing && overwrite !== "force";
+    let allowed;
+    if (writesInPlace) allowed = hasAccess(existing, "w") && !checkAccess(userFS, targetPath).error;
+    else if (existing) allowed = !checkRemove(userFS, targetPath).error;
+    else allowed = !checkAccess(userFS, path.dirname(targetPath), "wx").error;
+    if (!allowed || (move && checkRemove(userFS, sourcePath).error)) {
+      errors.push(`${command}: ${move && allowed ? sourcePath : targetPath}: Permission denied`);
+      continue;
+    }
+
+    // Moving doesn't take up more space, but a copy needs room for everything in it; so does a move
+    // into or out of a shared mount, which is stored apart from the rest of the filesystem
+    const crossesMount = move && getMount(userFS, sourceRealPath) !== getMount(userFS, targetRealPath);
+    const copy = move && !crossesMount ? null : copyNode(node);
+    const { error: spaceError } = copy ? checkSpace(userFS, getDiskUsage(copy, targetRealPath) - (existing ? getSize(existing) : 0), targetRealPath) : {};
+    if (spaceError) {
+      errors.push(`${command}: ${targetPath}: ${spaceError}`);
+      continue;
+    }
+
+    if (writesInPlace) {
+      existing.content = node.content;
+      if (node.encoding) existing.encoding = node.encoding;
+      else delete existing.encoding;
+      existing.modified = Date.now();
+    } else if (move) {
+      const { parent: sourceParent, fileName: sourceName } = getObjectAtPath(userFS, sourcePath, false, false);
+      delete sourceParent.children[sourceName];
+      parent.children[fileName] = copy || node;
+      sourceParent.modified = parent.modified = Date.now();
+
+      // Follow a moved current directory to its new place
+      if (userFS.currentDir === sourcePath || userFS.currentDir.startsWith(`${sourcePath}/`)) {
+        userFS.currentDir = targetPath + userFS.currentDir.slice(sourcePath.length);
+      }
+    } else {
+      parent.children[fileName] = copy;
+      parent.modified = Date.now();
+    }
+
+    output.push(`${move ? "Moved" : "Copied"}: ${sourcePath} -> ${targetPath}`);
+  }
+
+  await saveFilesystem(userId, userFS);
+  return collect(output, errors);
+}
+
+/**
+ * Evaluate a "[ expression ]" test
+ * @param {Object} userFS - User's filesystem, used by the file tests
+ * @param {Array<string>} expr - Expression words without the closing "]"
+ * @returns {Object} - { value } with the boolean outcome, or { error }
+ */
+function evaluateTest(userFS, expr) {
+  if (expr[0] === "!") {
+    const inner = evaluateTest(userFS, expr.slice(1));
+    return inner.error ? inner : { value: !inner.value };
+  }
+
+  if (expr.length === 0) return { value: false };
+  if (expr.length === 1) return { value: expr[0] !== "" };
+
+  if (expr.length === 2) {
+    const [op, operand] = expr;
+    if (op === "-z") return { value: operand === "" };
+    if (op === "-n") return { value: operand !== "" };
+
+    if (op === "-L" || op === "-h") {
+      const { target } = getObjectAtPath(userFS, resolvePath(userFS.currentDir, operand, userFS.home), false, false);
+      return { value: target?.type === "symlink" };
+    }
+
+    if (["-e", "-f", "-d"].includes(op)) {
+      const { target, found } = getObjectAtPath(userFS, resolvePath(userFS.currentDir, operand, userFS.home));
+      if (!found) return { value: false };
+      if (op === "-f") return { value: target.type === "file" };
+      if (op === "-d") return { value: target.type === "directory" };
+      return { value: true };
+    }
+
+    return { error: `${op}: Unary operator expected` };
+  }
+
+  if (expr.length === 3) {
+    const [left, op, right] = expr;
+    if (op === "=" || op === "==") return { value: left === right };
+    if (op === "!=") return { value: left !== right };
+
+    const numeric = { "-eq": (a, b) => a === b, "-ne": (a, b) => a !== b, "-lt": (a, b) => a < b, "-le": (a, b) => a <= b, "-gt": (a, b) => a > b, "-ge": (a, b) => a >= b };
+    if (numeric[op]) {
+      if (!/^-?\d+$/.test(left) || !/^-?\d+$/.test(right)) return { error: "Integer expression expected" };
+      return { value: numeric[op](parseInt(left, 10), parseInt(right, 10)) };
+    }
+
+    return { error: `${op}: Binary operator expected` };
+  }
+
+  return { error: "Too many arguments" };
+}
+
+// Commands that need to be installed via pkg manager
+// Define the structure first, will be populated later by registerPackageCommands
+const installableCommands = {
+  echo: {
+    // Redirection such as "echo text >> file" is handled by the shell before echo runs
+    execute: async (interaction, userId, args) => args.join(" "),
+  },
+
   edit: {
     execute: async () => 'edit: Use the "edit-file" action (with the arg0 field specifying the filename) to use the edit command!',
   },
@@ -0,0 +1,109 @@
+/**
+ * Command line completion for the /terminal command option's autocomplete
+ */
+const { resolvePath, getNodeAtPath, loadFilesystem } = require("./filesystem");
+const { systemCommands, installableCommands } = require("./commands");
+const { packageDefinitions, isPackageAvailable } = require("./pkg");
+const { loadAliases } = require("./aliases");
+const { checkAccess } = require("./permissions");
+
+// Discord allows at most 25 choices of at most 100 characters each
+const MAX_CHOICES = 25;
+const MAX_CHOICE_LENGTH = 100;
+
+// Commands handled directly by the terminal instead of living in systemCommands
+const SHELL_COMMANDS = ["pkg", "sh", "edit", "share", "unshare"];
+
+// Subcommands of the package manager
+const PKG_SUBCOMMANDS = ["install", "remove", "list", "search", "branches", "status", "upgrade"];
+
+/**
+ * List the command names a user can run
+ * @param {Object} userFS - User's filesystem
+ * @returns {Array<string>} - Sorted command names, including installed packages and aliases
+ */
+function getCommandNames(userFS) {
+  const pkgDir = userFS.fs["/"].children.sys.children.pkgs.children;
+  const installed = Object.keys(pkgDir)
+    .map((file) => file.replace(/\.pkg$/, ""))
+    .filter((name) => installableCommands[name]);
+
+  const names = new Set([...SHELL_COMMANDS, ...Object.keys(systemCommands), ...installed, ...Object.keys(loadAliases(userFS))]);
+  names.delete("[");
+  return [...names].sort();
+}
+
+/**
+ * List paths below the user's current directory that complete a partial path, within directories the user may read
+ * @param {Object} userFS - User's filesystem
+ * @param {string} partial - Partial path as typed
+ * @returns {Array<string>} - Completed paths, with a trailing "/" on directories
+ */
+function getPathCompletions(userFS, partial) {
+  const slash = partial.lastIndexOf("/");
+  const dirPart = slash === -1 ? "" : partial.slice(0, slash + 1);
+  const namePart = slash === -1 ? partial : partial.slice(slash + 1);
+
+  const dirPath = resolvePath(userFS.currentDir, dirPart || ".", userFS.home);
+  const dir = getNodeAtPath(userFS, dirPath);
+  // Like ls, only directories the user may read are listed
+  if (!dir || dir.type !== "directory" || checkAccess(userFS, dirPath, "r").error) return [];
+
+  return Object.keys(dir.children)
+    .filter((name) => name.startsWith(namePart) && (!name.startsWith(".") || namePart.startsWith(".")))
+    .sort()
+    .map((name) => {
+      const completed = `${dirPart}${name}`.replace(/ /g, "\\ ");
+      return dir.children[name].type === "directory" ? `${completed}/` : completed;
+    });
+}
+
+/**
+ * Complete the last word of a partially typed command line
+ * @param {string} userId - User ID
+ * @param {string} input - Command line typed so far
+ * @returns {Promise<Array<string>>} - Full command lines to offer as choices
+ */
+async function getCompletions(userId, input) {
+  const userFS = await loadFilesystem(userId);
+
+  // Only the command after the last pipe or list operator matters
+  const operator = input.match(/^.*(?:\|\||&&|[|;])\s*(.*)$/s);
+  const current = operator ? operator[1] : input;
+
+  const words = current.split(/\s+/);
+  if (words[0] === "") words.shift();
+  if (!words.length) words.push("");
+
+  const partial = words[words.length - 1];
+  const prefix = input.slice(0, input.length - partial.length);
+  let candidates;
+
+  if (words.length === 1) {
+    candidates = getCommandNames(userFS).filter((name) => name.startsWith(partial));
+  } else if (words[0] === "pkg" && words.length === 2) {
+    candidates = PKG_SUBCOMMANDS.filter((name) => name.startsWith(partial));
+  } else if (words[0] === "pkg" && words.length === 3 && ["install", "remove"].includes(words[1])) {
+    const sysDir = userFS.fs["/"].children.sys;
+    const installed = Object.keys(sysDir.children.pkgs.children).map((file) => file.replace(/\.pkg$/, ""));
+
+    if (words[1] === "remove") {
+      candidates = installed;
+    } else {
+      const version = sysDir.children.os_version?.content || "1.0.0";
+      const branch = sysDir.children.os_branch?.content || "stable";
+      candidates = Object.keys(packageDefinitions).filter((name) => !installed.includes(name) && isPackageAvailable(name, version, branch));
+    }
+    candidates = candidates.filter((name) => name.startsWith(partial)).sort();
+  } else {
+    candidates = getPathCompletions(userFS, partial);
+  }
+
+  // Keep what was typed as the first choice so submitting it as-is stays possible
+  const choices = [...new Set([input, ...candidates.map((candidate) => `${prefix}${candidate}`)])];
+  return choices.filter((choice) => choice.trim() && choice.length <= MAX_CHOICE_LENGTH).slice(0, MAX_CHOICES);
+}
+
+module.exports = {
+  getCompletions,
+};
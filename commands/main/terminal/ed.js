@@ -0,0 +1,237 @@
+/**
+ * An ed-style line editor, run non-interactively from a list of commands
+ *
+ * Commands come one per argument or one per line of piped input, as in "ed notes.txt 2d w".
+ * Text added with a, i and c follows as its own lines, ended by a line holding only ".".
+ * Like ed, nothing is saved until w runs.
+ */
+const { resolvePath, readFile, writeFile, getNodeAtPath, loadFilesystem, saveFilesystem } = require("./filesystem");
+const { splitLines } = require("./text");
+const { compileRegExp, MAX_MATCH_LINE_LENGTH } = require("./shell");
+
+// An address: a line number, "." for the current line or "$" for the last, optionally followed by +n or -n
+const ADDRESS_PATTERN = /^(?:(\d+|\.|\$)([+-]\d+)?|([+-]\d+))/;
+
+/**
+ * Resolve one address at the start of a command
+ * @param {string} text - Command text, starting at the address
+ * @param {Object} state - Editor state
+ * @returns {Object} - { line, rest } with the line number or null when there's no address, and the remaining text
+ */
+function parseAddress(text, state) {
+  const match = text.match(ADDRESS_PATTERN);
+  if (!match) return { line: null, rest: text };
+
+  const base = match[3] ? state.current : match[1] === "." ? state.current : match[1] === "$" ? state.lines.length : parseInt(match[1], 10);
+  const offset = parseInt(match[2] || match[3] || "0", 10);
+  return { line: base + offset, rest: text.slice(match[0].length) };
+}
+
+/**
+ * Resolve the address range of a command, e.g. "2,5", ",", "%", "$" or nothing
+ * @param {string} text - Command text
+ * @param {Object} state - Editor state
+ * @returns {Object} - { start, end, given, rest } where given tells whether any address was written
+ */
+function parseRange(text, state) {
+  if (text.startsWith("%") || (text.startsWith(",") && !ADDRESS_PATTERN.test(text.slice(1)))) {
+    return { start: 1, end: state.lines.length, given: true, rest: text.slice(1) };
+  }
+
+  const first = parseAddress(text, state);
+  if (!first.rest.startsWith(",")) {
+    return { start: first.line ?? state.current, end: first.line ?? state.current, given: first.line !== null, rest: first.rest };
+  }
+
+  const second = parseAddress(first.rest.slice(1), state);
+  return { start: first.line ?? 1, end: second.line ?? state.lines.length, given: true, rest: second.rest };
+}
+
+/**
+ * Turn ed's substitution replacement into a JavaScript one, where "&" is the match, "\1" to "\9" are groups and "\&" a literal "&"
+ * @param {string} replacement - Replacement as written in the s command
+ * @returns {string} - Replacement for String.prototype.replace
+ */
+function toReplacement(replacement) {
+  return replacement.replace(/\$/g, "$$$$").replace(/\\(.)|&/g, (match, escaped) => {
+    if (escaped === undefined) return "$&";
+    return /[1-9]/.test(escaped) ? `$${escaped}` : escaped;
+  });
+}
+
+/**
+ * Run one command that isn't text input
+ * @param {string} command - Command line
+ * @param {Object} state - Editor state, updated in place
+ * @returns {Object} - { output } with lines to print, or { error }
+ */
+function runCommand(command, state) {
+  const { start, end, given, rest } = parseRange(command, state);
+  const name = rest[0] || "";
+  const argument = rest.slice(1);
+  const lineCount = state.lines.length;
+
+  // Only a, i and "=" may address line 0, the position before the first line
+  const minimum = name === "a" || name === "i" || name === "=" ? 0 : 1;
+  if (start < minimum || end > lineCount || start > end) return { error: "Invalid address" };
+
+  switch (name) {
+    case "": {
+      // A bare address moves to that line and prints it, and an empty command moves to the next line
+      const line = given ? end : state.current + 1;
+      if (line < 1 || line > lineCount) return { error: "Invalid address" };
+      state.current = line;
+      return { output: [state.lines[line - 1]] };
+    }
+
+    case "p":
+    case "n": {
+      state.current = end;
+      return { output: state.lines.slice(start - 1, end).map((line, index) => (name === "n" ? `${start + index}\t${line}` : line)) };
+    }
+
+    case "=":
+      return { output: [String(given ? end : lineCount)] };
+
+    case "a":
+    case "i":
+    case "c": {
+      if (name === "c") {
+        state.lines.splice(start - 1, end - start + 1);
+        state.modified = true;
+      }
+      // Following lines are text until "."; they go after the addressed line for a, and in its place for i and c
+      const at = name === "a" ? end : Math.max(start - 1, 0);
+      state.input = { at, count: 0 };
+      state.current = at;
+      return { output: [] };
+    }
+
+    case "d": {
+      state.lines.splice(start - 1, end - start + 1);
+      state.current = Math.min(start, state.lines.length);
+      state.modified = true;
+      return { output: [] };
+    }
+
+    case "s": {
+      const delimiter = argument[0];
+      if (!delimiter || /[\s\\]/.test(delimiter)) return { error: "Missing pattern delimiter" };
+
+      // Split on unescaped delimiters, keeping escapes for the regular expression
+      const parts = argument.slice(1).split(new RegExp(`(?<!\\\\)${delimiter.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`));
+      if (parts.length < 2 || parts.length > 3) return { error: "Missing pattern delimiter" };
+      const [pattern, replacement, flags = ""] = parts;
+      if (!/^g?$/.test(flags)) return { error: `Unknown command suffix: ${flags}` };
+
+      const { regex, error } = compileRegExp(pattern, flags);
+      if (error) return { error };
+
+      const long = state.lines.slice(start - 1, end).findIndex((text) => text.length > MAX_MATCH_LINE_LENGTH);
+      if (long !== -1) return { error: `Line ${start + long} is longer than ${MAX_MATCH_LINE_LENGTH} characters` };
+
+      let last = 0;
+      for (let line = start; line <= end; line++) {
+        const text = state.lines[line - 1];
+        if (!regex.test(text)) continue;
+        regex.lastIndex = 0;
+        state.lines[line - 1] = text.replace(regex, toReplacement(replacement));
+        last = line;
+      }
+      if (!last) return { error: "No match" };
+
+      state.current = last;
+      state.modified = true;
+      return { output: [] };
+    }
+
+    case "w":
+    case "q":
+    case "Q":
+      return { [name]: argument.trim() };
+
+    default:
+      return { error: `Unknown command: ${rest}` };
+  }
+}
+
+/**
+ * Edit a file with a list of ed commands
+ * @param {string} userId - User ID
+ * @param {string} file - File to edit, as given to ed; it's created by the first w if it doesn't exist
+ * @param {Array<string>} commands - Commands and text lines, one per entry
+ * @returns {Promise<Object>} - { output, error } with the printed lines, and the message that stopped the commands if any
+ */
+async function runEd(userId, file, commands) {
+  const userFS = await loadFilesystem(userId);
+  const fullPath = resolvePath(userFS.currentDir, file, userFS.home);
+
+  let content = "";
+  if (getNodeAtPath(userFS, fullPath)) {
+    const result = readFile(userFS, fullPath);
+    if (result.error) return { output: [], error: result.error };
+    content = result.content;
+  }
+
+  // Like ed, the last line is current once the file is read
+  const lines = splitLines(content);
+  const state = { lines, current: lines.length, modified: false, input: null };
+  const output = [];
+  let error = null;
+
+  for (const command of commands) {
+    if (state.input) {
+      if (command === ".") {
+        state.input = null;
+        continue;
+      }
+      state.lines.splice(state.input.at + state.input.count, 0, command);
+      state.input.count++;
+      state.current = state.input.at + state.input.count;
+      state.modified = true;
+      continue;
+    }
+
+    const result = runCommand(command, state);
+    if (result.error) {
+      error = result.error;
+      break;
+    }
+    if (result.output) {
+      output.push(...result.output);
+      continue;
+    }
+
+    if (result.w !== undefined) {
+      const target = result.w ? resolvePath(userFS.currentDir, result.w, userFS.home) : fullPath;
+      const text = state.lines.join("\n");
+      const { error: writeError } = writeFile(userFS, target, text);
+      if (writeError) {
+        error = writeError;
+        break;
+      }
+      // ed reports the number of bytes written
+      output.push(String(Buffer.byteLength(text)));
+      if (target === fullPath) state.modified = false;
+      continue;
+    }
+
+    if (result.q !== undefined && state.modified) {
+      error = "Unsaved changes, run w to write them or Q to quit without saving";
+      break;
+    }
+    // q and Q end the commands here
+    state.modified = false;
+    break;
+  }
+
+  if (!error && state.modified) error = "Unsaved changes discarded, end with w to write them";
+
+  // Keep what w wrote and the access time readFile updated
+  await saveFilesystem(userId, userFS);
+  return { output, error };
+}
+
+module.exports = {
+  runEd,
+};
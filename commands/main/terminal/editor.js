@@ -0,0 +1,118 @@
+/**
+ * Sectioned editing of files too long for a single Discord modal
+ *
+ * The file is shown one section at a time in a message with Previous, Edit and Next buttons.
+ * Edit opens a modal holding only that section, and saving it replaces those lines of the file.
+ */
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle } = require("discord.js");
+const { splitLines } = require("./text");
+
+// Longest text a modal's paragraph input holds
+const MODAL_TEXT_LENGTH = 4000;
+
+// Longest section, so one fits in a message (at most 2000 characters) along with its header
+const SECTION_LENGTH = 1800;
+
+/**
+ * Split a file into sections of whole lines, each at most SECTION_LENGTH characters where lines allow
+ * @param {string} content - File content
+ * @returns {Array<Object>} - { start, end, text } with 1-based line numbers; an empty file has one empty section
+ */
+function splitSections(content) {
+  const sections = [];
+  let current = null;
+
+  splitLines(content).forEach((line, index) => {
+    if (current && current.text.length + 1 + line.length <= SECTION_LENGTH) {
+      current.text += `\n${line}`;
+      current.end = index + 1;
+    } else {
+      current = { start: index + 1, end: index + 1, text: line };
+      sections.push(current);
+    }
+  });
+
+  return sections.length ? sections : [{ start: 1, end: 0, text: "" }];
+}
+
+/**
+ * Replace the lines of a section with new text
+ * @param {string} content - File content
+ * @param {Object} section - Section to replace, from splitSections
+ * @param {string} text - New text of the section; empty removes its lines
+ * @returns {string} - New file content
+ */
+function replaceSection(content, section, text) {
+  const lines = splitLines(content);
+  lines.splice(section.start - 1, section.end - section.start + 1, ...splitLines(text));
+  return lines.join("\n");
+}
+
+/**
+ * Build the message showing one section of a file, with buttons to move between sections and edit
+ * @param {Object} editor - Editor state from the session: { userId, id, path, page }
+ * @param {string} content - File content
+ * @returns {Object} - Message options with content and components; editor.page is clamped to the sections there are
+ */
+function buildEditorMessage(editor, content) {
+  const sections = splitSections(content);
+  editor.page = Math.min(Math.max(editor.page, 0), sections.length - 1);
+  const section = sections[editor.page];
+
+  const lines = section.end >= section.start ? `lines ${section.start}-${section.end}` : "empty file";
+  const text = section.text.length > SECTION_LENGTH ? `${section.text.slice(0, SECTION_LENGTH)}…` : section.text;
+
+  // Buttons carry their owner and the editor's ID, so those of an editor replaced by a newer one stop working
+  const button = (action, label, disabled) =>
+    new ButtonBuilder()
+      .setCustomId(`terminal:editor:${editor.userId}:${editor.id}:${action}`)
+      .setLabel(label)
+      .setStyle(action === "edit" ? ButtonStyle.Primary : ButtonStyle.Secondary)
+      .setDisabled(disabled);
+
+  return {
+    content: `Editing ${editor.path}, section ${editor.page + 1}/${sections.length} (${lines})\n\`\`\`\n${text}\n\`\`\``,
+    components: [
+      new ActionRowBuilder().addComponents(
+        button("prev", "Previous", editor.page === 0),
+        // A single line too long for a modal can only be changed with ed
+        button("edit", "Edit section", section.text.length > MODAL_TEXT_LENGTH),
+        button("next", "Next", editor.page === sections.length - 1)
+      ),
+    ],
+  };
+}
+
+/**
+ * Build the modal for editing the section the editor is on
+ * @param {Object} editor - Editor state from the session: { userId, id, path, page }
+ * @param {string} content - File content
+ * @returns {Object} - { modal, section } with the section being edited
+ */
+function buildSectionModal(editor, content) {
+  const sections = splitSections(content);
+  const section = sections[Math.min(editor.page, sections.length - 1)];
+
+  const input = new TextInputBuilder()
+    .setCustomId("content")
+    .setLabel(`Lines ${section.start}-${Math.max(section.start, section.end)} (empty removes them)`)
+    .setStyle(TextInputStyle.Paragraph)
+    .setMaxLength(MODAL_TEXT_LENGTH)
+    .setRequired(false);
+  if (section.text) input.setValue(section.text);
+
+  const modal = new ModalBuilder()
+    .setCustomId(`terminal:editor:${editor.userId}:${editor.id}:save`)
+    .setTitle(`Edit section ${editor.page + 1}/${sections.length}`)
+    .addComponents(new ActionRowBuilder().addComponents(input));
+
+  return { modal, section };
+}
+
+module.exports = {
+  MODAL_TEXT_LENGTH,
+  splitSections,
+  replaceSection,
+  buildEditorMessage,
+  buildSectionModal,
+};
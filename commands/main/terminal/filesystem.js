@@ -1,15 +1,130 @@
 const path = require("node:path");
+const { loadFromDB, saveToDB } = require("../../../db/utils");
+const { hasGlobWildcards, unescapeGlob, globToRegExp } = require("./shell");
+const { userOwned, hasAccess, checkAccess, applyDefaultPermissions } = require("./permissions");
 
 // Max content length for files
 const MAX_CONTENT_LENGTH = 10000;
 
+// Max size of binary files such as archives, in bytes
+const MAX_BINARY_SIZE = 64 * 1024;
+
+// Last pending filesystem task of each user, which the next one waits for
+const filesystemQueues = new Map();
+
+// Size reported for directories, one block as on most disks
+const DIRECTORY_SIZE = 4096;
+
+// Most symbolic links followed while resolving a single path, the same limit as Linux
+const MAX_SYMLINK_DEPTH = 40;
+
+// Storage each user gets in KB, including installed packages; the bot owner can set STORAGE_QUOTA_KB
+const STORAGE_QUOTA_KB = Number(process.env.STORAGE_QUOTA_KB) || 20480;
+
+/**
+ * Timestamps for a node created now
+ * @returns {Object} - { created, modified, accessed } in milliseconds since the epoch
+ */
+function timestamps() {
+  const now = Date.now();
+  return { created: now, modified: now, accessed: now };
+}
+
+/**
+ * Gets the size of a node in bytes
+ * @param {Object} node - File or directory node
+ * @returns {number} - Byte length of a file's content or a link's target, or DIRECTORY_SIZE for a directory
+ */
+function getSize(node) {
+  if (node.type === "directory") return DIRECTORY_SIZE;
+  if (node.type === "symlink") return Buffer.byteLength(node.target || "");
+  return getFileData(node).length;
+}
+
+/**
+ * Gets the bytes a file holds
+ *
+ * Binary files keep their content base64-encoded, marked by an encoding of "base64".
+ * @param {Object} node - File node
+ * @returns {Buffer} - File data
+ */
+function getFileData(node) {
+  return Buffer.from(node.content || "", node.encoding === "base64" ? "base64" : "utf8");
+}
+
+/**
+ * Decodes data as text, if it is text
+ * @param {Buffer} data - Data to decode
+ * @returns {string|null} - Text, or null for data that isn't valid UTF-8 or holds NUL characters
+ */
+function decodeText(data) {
+  try {
+    const text = new TextDecoder("utf-8", { fatal: true }).decode(data);
+    return text.includes("\0") ? null : text;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Gets the disk space a node and everything inside it take up
+ *
+ * Installed package entries in /sys/pkgs count the size of the package they stand for.
+ * The directories holding shared mounts count nothing, as what's shared takes up its owner's storage.
+ * @param {Object} node - File, directory or symlink node
+ * @param {string} path - Absolute path of the node, without links
+ * @returns {number} - Size in bytes
+ */
+function getDiskUsage(node, path) {
+  if (node.virtual) return 0;
+  if (node.type === "directory") {
+    return Object.entries(node.children).reduce(
+      (total, [name, child]) => total + getDiskUsage(child, path === "/" ? `/${name}` : `${path}/${name}`),
+      getSize(node),
+    );
+  }
+
+  // Required here because the package manager depends on this module
+  const packageName = path.match(/^\/sys\/pkgs\/(.+)\.pkg$/)?.[1];
+  const packageSize = packageName && require("./pkg").PACKAGE_SIZES[packageName];
+  return packageSize ? packageSize * 1024 : getSize(node);
+}
+
+/**
+ * Checks whether a user's storage has room for more data
+ * @param {Object} filesystem - User's filesystem
+ * @param {number} growth - Number of bytes about to be added
+ * @param {string} [path] - Absolute path the data goes to; inside a shared mount, the owner's storage is checked instead
+ * @returns {Object} - Empty object when it fits, or { error }
+ */
+function checkSpace(filesystem, growth, path) {
+  if (growth <= 0) return {};
+  const mount = path ? getMount(filesystem, resolveLinks(filesystem, path).path || path) : null;
+  const storage = mount ? mount.owner.filesystem : filesystem;
+  const used = getDiskUsage(storage.fs["/"], "/");
+  return used + growth > STORAGE_QUOTA_KB * 1024 ? { error: "No space left on device" } : {};
+}
+
+/**
+ * Finds the shared mount a path is in
+ * @param {Object} filesystem - User's filesystem
+ * @param {string} path - Absolute path without links
+ * @returns {Object|null} - Mount from the filesystem's mounts, or null for a path outside them
+ */
+function getMount(filesystem, path) {
+  return (filesystem.mounts || []).find((mount) => path === mount.path || path.startsWith(`${mount.path}/`)) || null;
+}
+
 /**
  * Resolves a relative or absolute path
  * @param {string} currentDir - Current directory path
  * @param {string} targetPath - Target path to resolve
+ * @param {string} [home] - Home directory that "~" and "~/..." expand to; "~" is kept literally without one
  * @returns {string} - Resolved absolute path
  */
-function resolvePath(currentDir, targetPath) {
+function resolvePath(currentDir, targetPath, home) {
+  if (home && (targetPath === "~" || targetPath.startsWith("~/"))) targetPath = home + targetPath.slice(1);
+
   const isAbsolute = targetPath.startsWith("/");
   const segments = targetPath.split("/").filter(p => p);
   let parts = isAbsolute ? segments : [...currentDir.split("/").filter(p => p), ...segments];
@@ -27,24 +142,72 @@ function resolvePath(currentDir, targetPath) {
 }
 
 /**
- * Retrieves an object at a specified path in the filesystem
+ * Replaces the symbolic links in an absolute path with the paths they point to
+ *
+ * Parts of the path that don't exist are kept as they are, so a dangling link resolves to
+ * the path where its target would be.
+ * @param {Object} filesystem - User's filesystem
+ * @param {string} path - Absolute path
+ * @param {boolean} followLast - Whether a link in the last component is followed too
+ * @returns {Object} - { path } without links, or { error } when links loop
+ */
+function resolveLinks(filesystem, path, followLast = true) {
+  let parts = path.split("/").filter(p => p);
+  let resolved = [];
+  let followed = 0;
+
+  while (parts.length) {
+    const part = parts.shift();
+    if (part === ".") continue;
+    if (part === "..") {
+      resolved.pop();
+      continue;
+    }
+
+    const dir = getNodeAtPath(filesystem, `/${resolved.join("/")}`, false);
+    const node = dir?.type === "directory" ? dir.children[part] : undefined;
+
+    if (node?.type === "symlink" && (parts.length || followLast)) {
+      if (++followed > MAX_SYMLINK_DEPTH) return { error: `${path}: Too many levels of symbolic links` };
+      if (node.target.startsWith("/")) resolved = [];
+      parts = [...node.target.split("/").filter(p => p), ...parts];
+      continue;
+    }
+
+    resolved.push(part);
+  }
+
+  return { path: `/${resolved.join("/")}` };
+}
+
+/**
+ * Retrieves an object at a specified path in the filesystem, following symbolic links
  * @param {Object} filesystem - User's filesystem
  * @param {string} path - Path to navigate to
  * @param {boolean} createDirs - Whether to create missing directories
+ * @param {boolean} followLast - Whether to follow a link in the last component, rather than return the link
  * @returns {Object} - Object containing result and parent information
  */
-function getObjectAtPath(filesystem, path, createDirs = false) {
-  const parts = path.split("/").filter(p => p);
+function getObjectAtPath(filesystem, path, createDirs = false, followLast = true) {
+  const { path: realPath, error } = resolveLinks(filesystem, path, followLast);
+  if (error) return { found: false, error };
+
+  const parts = realPath.split("/").filter(p => p);
   const fileName = parts.pop();
   let current = filesystem.fs["/"];
   let parent = null;
   
   // Navigate through the path
-  for (const part of parts) {
+  for (const [index, part] of parts.entries()) {
     parent = current;
     if (!current.children[part]) {
       if (createDirs) {
-        current.children[part] = { type: "directory", children: {} };
+        // Each missing directory needs the access mkdir would, on the directory it's created in
+        if (checkAccess(filesystem, `/${parts.slice(0, index).join("/")}`, "wx").error) {
+          return { found: false, error: `/${parts.slice(0, index + 1).join("/")}: Permission denied` };
+        }
+        current.children[part] = { type: "directory", children: {}, ...userOwned("directory"), ...timestamps() };
+        current.modified = Date.now();
       } else {
         return { found: false, error: `Path not found: /${parts.join("/")}` };
       }
@@ -64,11 +227,207 @@ function getObjectAtPath(filesystem, path, createDirs = false) {
 }
 
 /**
- * Creates default filesystem structure for new users
+ * Returns the node at an absolute path, or null if it doesn't exist
+ * @param {Object} filesystem - User's filesystem
+ * @param {string} path - Absolute path
+ * @param {boolean} followLinks - Whether to follow symbolic links; without, the path must not go through any
+ * @returns {Object|null} - File, directory or symlink node
+ */
+function getNodeAtPath(filesystem, path, followLinks = true) {
+  if (followLinks) {
+    const { path: realPath, error } = resolveLinks(filesystem, path);
+    if (error) return null;
+    path = realPath;
+  }
+
+  let current = filesystem.fs["/"];
+  for (const part of path.split("/").filter(p => p)) {
+    if (current.type !== "directory" || !current.children[part]) return null;
+    current = current.children[part];
+  }
+  return current;
+}
+
+/**
+ * Expands a glob pattern against the filesystem
+ * @param {Object} filesystem - User's filesystem
+ * @param {string} currentDir - Directory relative patterns are resolved against
+ * @param {string} pattern - Pattern with "*", "?" and "[...]" wildcards, where "\" escapes a character
+ * @returns {Array<string>} - Matching paths, relative or absolute like the pattern, in sorted order
+ */
+function expandGlob(filesystem, currentDir, pattern) {
+  const isAbsolute = pattern.startsWith("/");
+  const join = (base, name) => (base === "" ? name : base === "/" ? `/${name}` : `${base}/${name}`);
+  let candidates = [isAbsolute ? "/" : ""];
+
+  for (const segment of pattern.split("/").filter(p => p)) {
+    const next = [];
+
+    for (const base of candidates) {
+      if (!hasGlobWildcards(segment)) {
+        next.push(join(base, unescapeGlob(segment)));
+        continue;
+      }
+
+      // Directories the user can't read can't be listed for matches
+      const dirPath = resolvePath(currentDir, base || ".", filesystem.home);
+      const dir = getNodeAtPath(filesystem, dirPath);
+      if (!dir || dir.type !== "directory" || !hasAccess(dir, "r") || checkAccess(filesystem, dirPath).error) continue;
+
+      // Like a shell, wildcards only match dotfiles when the pattern itself starts with a dot
+      const regex = globToRegExp(segment);
+      for (const name of Object.keys(dir.children).sort()) {
+        if (name.startsWith(".") && !segment.startsWith(".")) continue;
+        if (regex.test(name)) next.push(join(base, name));
+      }
+    }
+
+    candidates = next;
+  }
+
+  // Literal segments after the last wildcard still have to exist
+  return candidates.filter(candidate => getNodeAtPath(filesystem, resolvePath(currentDir, candidate, filesystem.home)));
+}
+
+/**
+ * Lists a node and everything below it, depth first with each directory's entries in sorted order
+ *
+ * Directories the user can't both read and search are listed but not entered, and marked as denied.
+ * Symbolic links are listed without being followed, so links can't make the walk loop.
+ * @param {Object} node - File or directory node to start from
+ * @param {string} relative - Path of the node relative to where the walk started
+ * @returns {Array<Object>} - { relative, node, denied } for every node, starting with "" for the node itself
+ */
+function walkTree(node, relative = "") {
+  const entries = [{ relative, node, denied: false }];
+  if (node.type !== "directory") return entries;
+
+  if (!hasAccess(node, "rx")) {
+    entries[0].denied = true;
+    return entries;
+  }
+
+  for (const name of Object.keys(node.children).sort()) {
+    entries.push(...walkTree(node.children[name], relative ? `${relative}/${name}` : name));
+  }
+  return entries;
+}
+
+/**
+ * Reads the content of a file in the filesystem
+ * @param {Object} filesystem - User's filesystem
+ * @param {string} path - Absolute path of the file
+ * @returns {Object} - { content, data, binary } on success, with the text and bytes of the file, or { error } if the file can't be read
+ */
+function readFile(filesystem, path) {
+  const { target, found, error } = getObjectAtPath(filesystem, path);
+  if (error) return { error };
+  if (!found) return { error: `${path}: No such file or directory` };
+  if (target.type === "directory") return { error: `${path}: Is a directory` };
+
+  const { error: accessError } = checkAccess(filesystem, path, "r");
+  if (accessError) return { error: accessError };
+
+  target.accessed = Date.now();
+  const data = getFileData(target);
+  return { content: data.toString(), data, binary: target.encoding === "base64" };
+}
+
+/**
+ * Writes content to a file in the filesystem, creating the file if needed
+ * @param {Object} filesystem - User's filesystem
+ * @param {string} path - Absolute path of the file
+ * @param {string|Buffer} content - Content to write, where a Buffer makes a binary file
+ * @param {boolean} append - Whether to append to the existing content instead of replacing it; text only
+ * @returns {Object} - Empty object on success or { error } if the file can't be written
+ */
+function writeFile(filesystem, path, content, append = false) {
+  const { parent, fileName, target, found, error } = getObjectAtPath(filesystem, path);
+  if (error) return { error };
+  if (!fileName || (found && target.type === "directory")) return { error: `${path}: Is a directory` };
+
+  // Changing a file needs write access to it, creating one write access to its directory,
+  // which for a dangling link is the directory its target would be created in
+  const realPath = resolveLinks(filesystem, path).path;
+  const { error: accessError } = found ? checkAccess(filesystem, path, "w") : checkAccess(filesystem, realPath.slice(0, realPath.lastIndexOf("/")) || "/", "wx");
+  if (accessError) return { error: found ? accessError : `${path}: Permission denied` };
+
+  const binary = Buffer.isBuffer(content);
+  let newContent = binary ? content.toString("base64") : content;
+  if (!binary && append && found && target.content) {
+    // Keep appended output on its own line, like newline-terminated output in a real shell
+    const existing = getFileData(target).toString();
+    newContent = existing.endsWith("\n") || !content ? existing + content : `${existing}\n${content}`;
+  }
+
+  if (binary && content.length > MAX_BINARY_SIZE) {
+    return { error: `${path}: File size exceeds the limit of ${MAX_BINARY_SIZE} bytes` };
+  }
+  if (!binary && newContent.length > MAX_CONTENT_LENGTH) {
+    return { error: `${path}: File content exceeds the limit of ${MAX_CONTENT_LENGTH} characters` };
+  }
+
+  const newSize = binary ? content.length : Buffer.byteLength(newContent);
+  const { error: spaceError } = checkSpace(filesystem, newSize - (found ? getSize(target) : 0), path);
+  if (spaceError) return { error: `${path}: ${spaceError}` };
+
+  if (found) {
+    target.content = newContent;
+    target.modified = Date.now();
+  } else {
+    parent.children[fileName] = { type: "file", content: newContent, ...userOwned("file"), ...timestamps() };
+    parent.modified = Date.now();
+  }
+
+  if (binary) parent.children[fileName].encoding = "base64";
+  else delete parent.children[fileName].encoding;
+
+  return {};
+}
+
+/**
+ * Copies a node and everything inside it, as the user's own new files with the same mode bits
+ * @param {Object} node - File or directory node
+ * @returns {Object} - Independent copy of the node
+ */
+function copyNode(node) {
+  const copy = { ...node, ...userOwned(node.type), mode: node.mode & 0o777, ...timestamps() };
+  if (node.type === "directory") {
+    copy.children = Object.fromEntries(Object.entries(node.children).map(([name, child]) => [name, copyNode(child)]));
+  }
+  return copy;
+}
+
+/**
+ * Creates a home directory for the user and records it as the filesystem's home
+ *
+ * Filesystems from before home directories existed get one too, but keep their current directory.
+ * @param {Object} filesystem - User's filesystem, updated in place
+ * @param {string} username - Name of the user, which names the directory
+ * @returns {Object} - The same filesystem
+ */
+function addHomeDirectory(filesystem, username) {
+  const root = filesystem.fs["/"];
+  root.children.home ??= { type: "directory", children: {} };
+
+  // A file already named /home leaves the user without a home, like a missing home directory does
+  if (root.children.home.type !== "directory") {
+    filesystem.home = "/";
+    return filesystem;
+  }
+
+  root.children.home.children[username] ??= { type: "directory", children: {} };
+  filesystem.home = `/home/${username}`;
+  return filesystem;
+}
+
+/**
+ * Creates default filesystem structure for new users, starting them in their home directory
+ * @param {string} username - Name of the user
  * @returns {Object} - Default filesystem object
  */
-function createFilesystem() {
-  return {
+function createFilesystem(username) {
+  const filesystem = addHomeDirectory({
     fs: {
       "/": {
         type: "directory",
@@ -81,11 +440,11 @@ function createFilesystem() {
               os: {
                 type: "directory",
                 children: {
-                  "happy phone.bin": { type: "file", content: "", readOnly: true, hidden: true },
-                  "ssh.bin": { type: "file", content: "", readOnly: true, hidden: true },
-                  "handler.hpo": { type: "file", content: "", readOnly: true, hidden: true },
-                  "peform.hpo": { type: "file", content: "", readOnly: true, hidden: true },
-                  "programs.hpo": { type: "file", content: "", readOnly: true, hidden: true },
+                  "happy phone.bin": { type: "file", content: "", mode: 0o600 },
+                  "ssh.bin": { type: "file", content: "", mode: 0o600 },
+                  "handler.hpo": { type: "file", content: "", mode: 0o600 },
+                  "peform.hpo": { type: "file", content: "", mode: 0o600 },
+                  "programs.hpo": { type: "file", content: "", mode: 0o600 },
                 },
               },
               pkgs: { type: "directory", children: {} },
@@ -95,12 +454,137 @@ function createFilesystem() {
       },
     },
     currentDir: "/",
+  }, username);
+
+  filesystem.currentDir = filesystem.home;
+  return applyDefaultPermissions(filesystem);
+}
+
+/**
+ * Gives every node without timestamps the current time, for filesystems from before they were tracked
+ * @param {Object} filesystem - User's filesystem, updated in place
+ * @returns {Object} - The same filesystem
+ */
+function applyDefaultTimestamps(filesystem) {
+  const defaults = timestamps();
+  const visit = (node) => {
+    node.created ??= defaults.created;
+    node.modified ??= defaults.modified;
+    node.accessed ??= defaults.accessed;
+    if (node.type === "directory") Object.values(node.children).forEach(visit);
   };
+
+  visit(filesystem.fs["/"]);
+  return filesystem;
+}
+
+/**
+ * Loads a user's filesystem, bringing filesystems from before home directories, permissions and timestamps up to date
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - User's filesystem
+ */
+async function loadFilesystem(userId) {
+  // Required here because the session module depends on this one
+  const username = require("./session").getSession(userId).username || "user";
+
+  const filesystem = await loadFromDB("user_filesystems", userId, createFilesystem(username));
+  if (!filesystem.home) addHomeDirectory(filesystem, username);
+  applyDefaultTimestamps(applyDefaultPermissions(filesystem));
+
+  // Required here because the sharing module depends on this one
+  await require("./shares").mountShares(userId, filesystem);
+  return filesystem;
+}
+
+/**
+ * Run a task that loads, changes and saves a user's filesystem once the user's earlier such tasks have finished
+ *
+ * Background jobs run alongside the prompt, and without taking turns one would save over the other's changes.
+ * A task mustn't wait for another locked task of the same user, which would only start after it.
+ * @param {string} userId - User ID
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} - What the task resolves to
+ */
+function withFilesystemLock(userId, task) {
+  const result = (filesystemQueues.get(userId) || Promise.resolve()).then(task);
+  // Later tasks wait for this one to settle, whether or not it fails
+  const settled = result.catch(() => {});
+  filesystemQueues.set(userId, settled);
+  settled.then(() => {
+    if (filesystemQueues.get(userId) === settled) filesystemQueues.delete(userId);
+  });
+  return result;
+}
+
+/**
+ * Gives the part of a filesystem that's stored as the user's own, without the shared mounts
+ * @param {Object} filesystem - User's filesystem
+ * @returns {Object} - The same filesystem when nothing is mounted, or a copy without the mounts
+ */
+function withoutMounts(filesystem) {
+  if (!filesystem.mounts?.length) return filesystem;
+  return JSON.parse(JSON.stringify(filesystem, (key, value) => (value?.virtual ? undefined : value)));
+}
+
+/**
+ * Write what changed through a shared mount into its owner's filesystem, once the owner's lock is held
+ *
+ * The owner's filesystem is read again, as the owner may have changed it since the mount was loaded,
+ * and only the shared file or directory is replaced in it.
+ * @param {Object} mount - Mount from the filesystem's mounts
+ */
+async function saveMount(mount) {
+  const ownerFS = await loadFromDB("user_filesystems", mount.owner.id, null);
+  const { parent, fileName, found } = ownerFS ? getObjectAtPath(ownerFS, mount.share.path, false, false) : { found: false };
+  // A share the owner has moved or removed since doesn't come back
+  if (!found) return;
+
+  parent.children[fileName] = mount.node;
+  await saveToDB("user_filesystems", mount.owner.id, ownerFS);
+}
+
+/**
+ * Saves a user's filesystem, along with the changes made through its mounts to files others shared
+ * @param {string} userId - User ID
+ * @param {Object} filesystem - User's filesystem
+ */
+async function saveFilesystem(userId, filesystem) {
+  await saveToDB("user_filesystems", userId, withoutMounts(filesystem));
+
+  for (const mount of filesystem.mounts || []) {
+    if (!mount.dirty) continue;
+    mount.dirty = false;
+    // Queued rather than waited for, as the owner may be saving into this user's filesystem with its own lock
+    // held, and each waiting for the other would hang both
+    withFilesystemLock(mount.owner.id, () => saveMount(mount)).catch((error) => {
+      console.error(`Error saving shared ${mount.share.path} of ${mount.owner.id}:`, error);
+    });
+  }
 }
 
 module.exports = {
+  timestamps,
+  getSize,
+  getFileData,
+  decodeText,
+  getDiskUsage,
+  checkSpace,
+  getMount,
   resolvePath,
+  resolveLinks,
   getObjectAtPath,
+  getNodeAtPath,
+  expandGlob,
+  walkTree,
+  readFile,
+  writeFile,
+  copyNode,
   createFilesystem,
-  MAX_CONTENT_LENGTH
+  loadFilesystem,
+  withoutMounts,
+  saveFilesystem,
+  withFilesystemLock,
+  MAX_CONTENT_LENGTH,
+  MAX_BINARY_SIZE,
+  STORAGE_QUOTA_KB,
 };
\ No newline at end of file
@@ -0,0 +1,151 @@
+/**
+ * Persisted command history with bash-style "!" expansion
+ *
+ * Unlike the user_histories screen buffer, this only holds the command lines entered
+ * at the prompt, numbered from the start of the user's history.
+ */
+const { loadFromDB, saveToDB } = require("../../../db/utils");
+
+// Maximum number of command lines kept per user
+const MAX_COMMAND_HISTORY = 500;
+
+// Number of entries "history" lists when no count is given
+const DEFAULT_HISTORY_LIST_SIZE = 20;
+
+// Event designator following "!": a number, a negative offset or a command prefix
+const EVENT_PATTERN = /^-?\d+|^[^\s;|&<>()'"=]+/;
+
+/**
+ * Load a user's command history
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { start, commands } where start is the number of the first command
+ */
+async function loadCommandHistory(userId) {
+  const history = await loadFromDB("user_command_histories", userId, {});
+  return { start: history.start || 1, commands: history.commands || [] };
+}
+
+/**
+ * Append a command line to a user's history, dropping the oldest lines past the limit
+ * @param {string} userId - User ID
+ * @param {string} line - Command line as run
+ */
+async function addToCommandHistory(userId, line) {
+  if (!line.trim()) return;
+
+  const history = await loadCommandHistory(userId);
+  history.commands.push(line);
+
+  const overflow = history.commands.length - MAX_COMMAND_HISTORY;
+  if (overflow > 0) {
+    history.commands.splice(0, overflow);
+    history.start += overflow;
+  }
+
+  await saveToDB("user_command_histories", userId, history);
+}
+
+/**
+ * Clear a user's command history
+ * @param {string} userId - User ID
+ */
+async function clearCommandHistory(userId) {
+  await saveToDB("user_command_histories", userId, { start: 1, commands: [] });
+}
+
+/**
+ * Find the command an event designator refers to
+ * @param {Object} history - Command history
+ * @param {string} event - "!", a number, a negative offset or a prefix
+ * @returns {string|null} - Matching command line or null if there is none
+ */
+function findEvent(history, event) {
+  const { start, commands } = history;
+
+  if (event === "!") return commands[commands.length - 1] ?? null;
+  if (/^\d+$/.test(event)) return commands[parseInt(event, 10) - start] ?? null;
+  if (/^-\d+$/.test(event)) return commands[commands.length + parseInt(event, 10)] ?? null;
+
+  for (let i = commands.length - 1; i >= 0; i--) {
+    if (commands[i].startsWith(event)) return commands[i];
+  }
+  return null;
+}
+
+/**
+ * Expand "!!", "!n", "!-n" and "!prefix" in a command line
+ *
+ * Like bash, "!" is left alone inside single quotes, after a backslash and
+ * when followed by whitespace, "=" or "(", so "[ ! -z x ]" and "!=" still work.
+ * @param {string} line - Command line as entered
+ * @param {Object} history - Command history
+ * @returns {Object} - { line, expanded } or { error } when an event isn't found
+ */
+function expandHistory(line, history) {
+  let result = "";
+  let expanded = false;
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (char === "\\" && quote !== "'") {
+      result += char + (line[i + 1] ?? "");
+      i++;
+      continue;
+    }
+    if (char === "'" && quote !== '"') quote = quote ? null : "'";
+    else if (char === '"' && quote !== "'") quote = quote ? null : '"';
+
+    // The "!" of a nickname mention such as <@!123> isn't a history event
+    if (char !== "!" || quote === "'" || line.slice(i - 2, i) === "<@") {
+      result += char;
+      continue;
+    }
+
+    const rest = line.slice(i + 1);
+    const event = rest[0] === "!" ? "!" : rest.match(EVENT_PATTERN)?.[0];
+
+    if (!event) {
+      result += char;
+      continue;
+    }
+
+    const command = findEvent(history, event);
+    if (command === null) return { error: `!${event}: event not found` };
+
+    result += command;
+    expanded = true;
+    i += event.length;
+  }
+
+  return { line: result, expanded };
+}
+
+/**
+ * Format history entries with their numbers
+ * @param {Object} history - Command history
+ * @param {string|null} filter - Only list commands containing this text
+ * @param {number} count - Maximum number of entries to list, counted from the end
+ * @returns {string} - Numbered history lines
+ */
+function formatHistory(history, filter, count) {
+  const width = String(history.start + history.commands.length - 1).length;
+
+  return history.commands
+    .map((command, index) => ({ number: history.start + index, command }))
+    .filter(({ command }) => !filter || command.includes(filter))
+    .slice(-count)
+    .map(({ number, command }) => `${String(number).padStart(width)}  ${command}`)
+    .join("\n");
+}
+
+module.exports = {
+  MAX_COMMAND_HISTORY,
+  DEFAULT_HISTORY_LIST_SIZE,
+  loadCommandHistory,
+  addToCommandHistory,
+  clearCommandHistory,
+  expandHistory,
+  formatHistory,
+};
@@ -0,0 +1,196 @@
+/**
+ * Background jobs started with "&", kept in memory for the lifetime of the bot
+ *
+ * A job runs its pipeline without holding up the prompt. When the pipeline starts
+ * package or update downloads, the job stays running until they finish, and their
+ * progress messages are kept on the job instead of being printed to the terminal.
+ */
+const { getDownloadStatus, setDownloadStatus } = require("./pkg");
+const { formatResult } = require("./result");
+
+// Job tables keyed by user ID, each a Map of job ID to job
+const jobTables = new Map();
+
+// Most jobs a user can have running at once
+const MAX_RUNNING_JOBS = 10;
+
+/**
+ * Get a user's job table
+ * @param {string} userId - User ID
+ * @returns {Map<number, Object>} - Jobs by ID
+ */
+function getJobTable(userId) {
+  if (!jobTables.has(userId)) jobTables.set(userId, new Map());
+  return jobTables.get(userId);
+}
+
+/**
+ * Start running a pipeline as a background job
+ * @param {string} userId - User ID
+ * @param {string} command - Command line shown by jobs
+ * @param {Function} run - Runs the pipeline with the job's scope { variables, budget, job }, resolving to a command result
+ * @param {Object} variables - Variables of the starting shell, copied so the job can't change them
+ * @param {Object} [parentBudget] - Step budget of the script starting the job, whose steps the job starts with
+ * @returns {Object} - { job } or { error }
+ */
+function startJob(userId, command, run, variables, parentBudget = null) {
+  const jobs = getJobTable(userId);
+  const running = [...jobs.values()].filter((job) => getJobState(userId, job) === "Running");
+  if (running.length >= MAX_RUNNING_JOBS) return { error: "fork: Resource temporarily unavailable" };
+
+  const id = Math.max(0, ...jobs.keys()) + 1;
+
+  const job = {
+    id,
+    command,
+    output: [],
+    // Latest progress message of the job's downloads
+    progress: null,
+    // Packages and updates the job started downloading, added as its pkg commands run
+    downloads: [],
+    code: null,
+    finished: false,
+    killed: false,
+    // Set by fg; foreground jobs print download progress to the terminal again
+    foreground: false,
+    // Shared with any scripts the job runs so kill can stop them between commands.
+    // A job started from a script carries on its step count, so "&" can't reset the limit
+    budget: { steps: parentBudget?.steps || 0, killed: false },
+  };
+
+  job.promise = run({ variables: { ...variables }, budget: job.budget, job })
+    .then((result) => {
+      const output = formatResult(result);
+      if (output) job.output.push(output);
+      job.code = result.code;
+      if (job.killed) cancelDownloads(userId, job);
+    })
+    .catch((error) => {
+      console.error(`Error in background job ${command}:`, error);
+      job.output.push("An error occurred while running this job");
+      job.code = 1;
+    })
+    .finally(() => {
+      job.finished = true;
+    });
+
+  jobs.set(id, job);
+  return { job };
+}
+
+/**
+ * Cancel the downloads a job started
+ * @param {string} userId - User ID
+ * @param {Object} job - Job
+ */
+function cancelDownloads(userId, job) {
+  for (const name of job.downloads) setDownloadStatus(userId, name, null);
+}
+
+/**
+ * Get the state of a job as shown by jobs
+ * @param {string} userId - User ID
+ * @param {Object} job - Job
+ * @returns {string} - "Running", "Done", "Exit <code>" or "Killed"
+ */
+function getJobState(userId, job) {
+  if (job.killed) return "Killed";
+  if (!job.finished || job.downloads.some((name) => getDownloadStatus(userId, name))) return "Running";
+  return job.code === 0 ? "Done" : `Exit ${job.code}`;
+}
+
+/**
+ * Find a job from a job spec such as "%2", defaulting to the most recent job
+ * @param {string} userId - User ID
+ * @param {string} [spec] - "%n", "%%", "%+" or nothing
+ * @returns {Object} - { job } or { error }
+ */
+function findJob(userId, spec) {
+  const jobs = getJobTable(userId);
+
+  if (spec === undefined || spec === "%%" || spec === "%+") {
+    const id = Math.max(0, ...jobs.keys());
+    return jobs.has(id) ? { job: jobs.get(id) } : { error: "current: no such job" };
+  }
+
+  const match = spec.match(/^%(\d+)$/);
+  if (!match) return { error: `${spec}: job spec must look like %n` };
+
+  const job = jobs.get(parseInt(match[1], 10));
+  return job ? { job } : { error: `${spec}: no such job` };
+}
+
+/**
+ * Stop a job and cancel any downloads it started
+ * @param {string} userId - User ID
+ * @param {Object} job - Job to kill
+ * @returns {boolean} - Whether the job was still running
+ */
+function killJob(userId, job) {
+  if (getJobState(userId, job) !== "Running") return false;
+
+  job.killed = true;
+  job.budget.killed = true;
+  cancelDownloads(userId, job);
+  return true;
+}
+
+/**
+ * Format a job's line in the jobs listing
+ * @param {string} userId - User ID
+ * @param {Object} job - Job
+ * @returns {string} - e.g. "[1]  Running    pkg install echo &"
+ */
+function formatJob(userId, job) {
+  const state = getJobState(userId, job);
+  const progress = state === "Running" && job.progress ? `  (${job.progress})` : "";
+  return `[${job.id}]  ${state.padEnd(9)}  ${job.command} &${progress}`;
+}
+
+/**
+ * Remove finished jobs from the table and report the background ones
+ * @param {string} userId - User ID
+ * @returns {Array<string>} - Completion notices, each followed by the job's output
+ */
+function collectFinishedJobs(userId) {
+  const jobs = getJobTable(userId);
+  const notices = [];
+
+  for (const job of jobs.values()) {
+    if (getJobState(userId, job) === "Running") continue;
+
+    jobs.delete(job.id);
+    if (!job.foreground) notices.push([formatJob(userId, job), ...job.output].join("\n"));
+  }
+
+  return notices;
+}
+
+/**
+ * Keep a download's progress message on the background job that started it
+ * @param {string} userId - User ID
+ * @param {string} name - Package or update name
+ * @param {string} message - Progress message
+ * @returns {boolean} - Whether a background job took the message, so it shouldn't be printed
+ */
+function captureDownloadMessage(userId, name, message) {
+  const job = [...getJobTable(userId).values()].find((candidate) => candidate.downloads.includes(name));
+  if (!job || job.foreground) return false;
+
+  // Intermediate progress replaces the previous message, while the final one becomes output
+  const state = getDownloadStatus(userId, name);
+  if (state && state.currentStep < state.steps.length - 1) job.progress = message;
+  else job.output.push(message);
+  return true;
+}
+
+module.exports = {
+  getJobTable,
+  startJob,
+  getJobState,
+  findJob,
+  killJob,
+  formatJob,
+  collectFinishedJobs,
+  captureDownloadMessage,
+};
@@ -0,0 +1,131 @@
+/**
+ * Manual pages for the terminal's commands and packages
+ *
+ * Commands describe themselves with description, usage, options and examples fields;
+ * packages may also ship a complete page, which is installed to /sys/man/<name>.
+ */
+const { systemOwned } = require("./permissions");
+const { timestamps } = require("./filesystem");
+
+// Directory installed man pages live in
+const MAN_DIR = "/sys/man";
+
+// Number of lines shown per page of a long man page or help listing
+const MAN_PAGE_LINES = 20;
+
+// Manuals for commands the terminal handles itself rather than through systemCommands
+const SHELL_MANUALS = {
+  pkg: {
+    description: "Install, remove and search packages and upgrade the system",
+    usage: "pkg <install|remove|list|search|branches|status|upgrade> [args...]",
+    options: {
+      "install <package>": "Download and install a package",
+      "remove <package>": "Remove an installed package",
+      "list [--page n]": "List installed packages",
+      "search [query] [--page n]": "Search packages available on this OS version and branch",
+      branches: "List OS branches and their versions",
+      "status [package]": "Show download progress",
+      "upgrade [--branch]": "Upgrade the system, optionally switching branch",
+    },
+    examples: ["pkg install echo", "pkg search happy", "pkg upgrade --unstable"],
+  },
+  sh: {
+    description: "Run a shell script from a file, or from piped input",
+    usage: "sh [script] [args...]",
+    examples: ["sh setup.sh", "./setup.sh one two", "cat setup.sh | sh"],
+  },
+  share: {
+    description: "Share a file or directory with another user, or list what's shared with and by you",
+    usage: "share [<path> <@user> [read|write]]",
+    options: {
+      "@user": "Username, mention or user ID of who to share with; in direct messages, names only find users the bot has seen",
+      read: "Let them read it, and list and enter a directory (the default)",
+      write: "Also let them change it; sharing again changes the access",
+    },
+    examples: ["share", "share notes.txt @alice", "share project @alice write"],
+  },
+  unshare: {
+    description: "Stop sharing a file or directory, or remove something shared with you from /shared",
+    usage: "unshare <path> [@user]",
+    options: {
+      "@user": "Only stop sharing with this user, instead of everyone",
+    },
+    examples: ["unshare notes.txt", "unshare project @alice", "unshare /shared/bob/todo.txt"],
+  },
+};
+
+/**
+ * Render a man page from a command's metadata
+ * @param {string} name - Command name
+ * @param {Object} manual - { description, usage, options, examples }
+ * @returns {string} - Man page text
+ */
+function formatManPage(name, manual) {
+  const lines = [`${name.toUpperCase()}(1)`, "", "NAME", `    ${name} - ${manual.description || "No description available"}`];
+
+  if (manual.usage) lines.push("", "SYNOPSIS", `    ${manual.usage}`);
+
+  const options = Object.entries(manual.options || {});
+  if (options.length) {
+    const width = Math.max(...options.map(([option]) => option.length));
+    lines.push("", "OPTIONS", ...options.map(([option, text]) => `    ${option.padEnd(width)}  ${text}`));
+  }
+
+  if (manual.examples?.length) {
+    lines.push("", "EXAMPLES", ...manual.examples.map((example) => `    ${example}`));
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Cut a man page or help listing into pages of MAN_PAGE_LINES lines
+ * @param {string} text - Full text
+ * @param {string} command - Command line that shows the text, used in the hint for the next page
+ * @param {number} pageNumber - Page to show, starting at 1
+ * @returns {Object} - { text } with the page, or { error } for an invalid page number
+ */
+function paginate(text, command, pageNumber) {
+  const lines = text.split("\n");
+  const totalPages = Math.max(1, Math.ceil(lines.length / MAN_PAGE_LINES));
+
+  if (pageNumber < 1 || pageNumber > totalPages) {
+    return { error: `${command.split(" ")[0]}: Invalid page number. Valid range: 1-${totalPages}` };
+  }
+  if (totalPages === 1) return { text };
+
+  const start = (pageNumber - 1) * MAN_PAGE_LINES;
+  const page = lines.slice(start, start + MAN_PAGE_LINES).join("\n");
+  const hint = pageNumber < totalPages ? `, run "${command} --page ${pageNumber + 1}" for more` : "";
+  return { text: `${page}\n-- Page ${pageNumber}/${totalPages}${hint} --` };
+}
+
+/**
+ * Install a package's own man page into the user's filesystem
+ * @param {Object} userFS - User's filesystem
+ * @param {string} name - Package name
+ * @param {string} manPage - Man page text
+ */
+function installManPage(userFS, name, manPage) {
+  const sysDir = userFS.fs["/"].children.sys;
+  if (!sysDir.children.man) sysDir.children.man = { type: "directory", children: {}, ...systemOwned("directory"), ...timestamps() };
+  sysDir.children.man.children[name] = { type: "file", content: manPage, ...systemOwned("file"), ...timestamps() };
+}
+
+/**
+ * Remove a package's man page from the user's filesystem, if it shipped one
+ * @param {Object} userFS - User's filesystem
+ * @param {string} name - Package name
+ */
+function removeManPage(userFS, name) {
+  delete userFS.fs["/"].children.sys.children.man?.children[name];
+}
+
+module.exports = {
+  MAN_DIR,
+  SHELL_MANUALS,
+  formatManPage,
+  paginate,
+  installManPage,
+  removeManPage,
+};
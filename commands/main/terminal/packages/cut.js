@@ -0,0 +1,58 @@
+const { fail, collect } = require("../result");
+const { parseOptions, readInputs, splitLines } = require("../text");
+
+/**
+ * Parse a field list such as "1,3" or "2-4,6-"
+ * @param {string} list - Field list as given to -f
+ * @returns {Function|null} - Tells whether a 1-based field number is selected, or null if the list is invalid
+ */
+function parseFieldList(list) {
+  const ranges = [];
+
+  for (const item of list.split(",")) {
+    const match = item.match(/^(\d*)(-?)(\d*)$/);
+    if (!match || (!match[1] && !match[3])) return null;
+
+    const start = match[1] ? parseInt(match[1], 10) : 1;
+    const end = match[3] ? parseInt(match[3], 10) : match[2] ? Infinity : start;
+    if (start < 1 || end < start) return null;
+    ranges.push([start, end]);
+  }
+
+  return (field) => ranges.some(([start, end]) => field >= start && field <= end);
+}
+
+module.exports = {
+    name: "cut",
+    description: "Print selected fields of each line of files, or of piped input",
+    usage: "cut -f list [-d delimiter] [file...]",
+    options: {
+      "-f list": 'Fields to print, numbered from 1, such as "2", "1,3" or "2-4,6-"',
+      "-d delimiter": "Character separating the fields, a tab by default",
+    },
+    examples: ["cut -d , -f 1,3 table.csv", "env | cut -d = -f 1"],
+    size: 110, // Size in KB
+    minVersion: {
+      stable: "1.0.0",
+      unstable: "1.0.0"
+    },
+    execute: async (interaction, userId, args, stdin) => {
+      const { values, operands, error } = parseOptions("cut", args, "", "df");
+      if (error) return fail(error);
+
+      if (values.f === undefined) return fail("cut: You must specify a list of fields with -f");
+      const isSelected = parseFieldList(values.f);
+      if (!isSelected) return fail(`cut: Invalid field list: ${values.f}`);
+
+      const delimiter = values.d ?? "\t";
+      if (delimiter.length !== 1) return fail("cut: The delimiter must be a single character");
+
+      const { inputs, errors } = await readInputs(userId, "cut", operands, stdin);
+      // Like cut, lines without the delimiter are printed whole
+      const output = inputs.flatMap(({ content }) => splitLines(content)).map((line) =>
+        line.includes(delimiter) ? line.split(delimiter).filter((_, index) => isSelected(index + 1)).join(delimiter) : line
+      );
+
+      return collect(output.length ? [output.join("\n")] : [], errors);
+    }
+  };
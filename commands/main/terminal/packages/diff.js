@@ -0,0 +1,30 @@
+const { fail } = require("../result");
+const { parseOptions, readInputs, unifiedDiff } = require("../text");
+
+module.exports = {
+    name: "diff",
+    description: "Compare two files line by line, in unified format",
+    usage: "diff <file1> <file2>",
+    options: {
+      file: 'Either file may be "-" to compare piped input',
+    },
+    examples: ["diff old.txt new.txt", "cat notes.txt | diff - backup.txt"],
+    size: 340, // Size in KB
+    minVersion: {
+      stable: "1.0.0",
+      unstable: "1.0.0"
+    },
+    // Like diff, exits with 0 when the files are the same, 1 when they differ and 2 on errors
+    execute: async (interaction, userId, args, stdin) => {
+      const { operands, error } = parseOptions("diff", args, "");
+      if (error) return fail(error, 2);
+      if (operands.length !== 2) return fail("Usage: diff <file1> <file2>", 2);
+
+      const { inputs, errors } = await readInputs(userId, "diff", operands, stdin);
+      if (errors.length) return fail(errors.join("\n"), 2);
+
+      const [a, b] = inputs;
+      const output = unifiedDiff(a.name, a.content, b.name, b.content);
+      return { stdout: output, stderr: "", code: output ? 1 : 0 };
+    }
+  };
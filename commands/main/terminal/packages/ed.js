@@ -0,0 +1,36 @@
+const { fail, collect } = require("../result");
+const { runEd } = require("../ed");
+const { splitLines } = require("../text");
+
+module.exports = {
+    name: "ed",
+    description: "Edit a file line by line with ed commands, given as arguments or piped in",
+    usage: "ed <file> [command...]",
+    options: {
+      "[range]p": 'Print lines, e.g. "p", "2,5p" or ",p" for all of them',
+      "[range]n": "Print lines with their numbers",
+      "[line]a": 'Append the text lines that follow, up to a line holding only "."',
+      "[line]i": "Insert the text lines that follow before the line",
+      "[range]c": "Replace lines with the text lines that follow",
+      "[range]d": "Delete lines",
+      "[range]s/old/new/[g]": 'Replace matches of the regular expression old; "&" in new is the match and "\\1" a group',
+      "w [file]": "Write the buffer, to another file if one is given",
+      "q / Q": "Quit, refusing with unsaved changes / discarding them",
+      range: 'Lines such as "3", "2,5", "." (current), "$" (last), "-1" or "%" (all)',
+    },
+    examples: ["ed notes.txt ,n", "ed notes.txt 2d w", "ed todo.txt '$a' 'buy milk' . w", "ed notes.txt 's/teh/the/g' w"],
+    size: 220, // Size in KB
+    minVersion: {
+      stable: "1.0.0",
+      unstable: "1.0.0"
+    },
+    execute: async (interaction, userId, args, stdin) => {
+      if (!args.length) return fail("Usage: ed <file> [command...]");
+
+      const commands = args.length > 1 ? args.slice(1) : splitLines(stdin ?? "");
+      if (!commands.length) return fail("ed: No commands given, pass them as arguments or pipe them in");
+
+      const { output, error } = await runEd(userId, args[0], commands);
+      return collect(output, error ? [`ed: ${error}`] : []);
+    }
+  };
@@ -1,6 +1,8 @@
 module.exports = {
     name: "edit",
-    description: "Edit files using the terminal interface",
+    description: "Edit files in a form; files too long for one open section by section with Previous/Next buttons",
+    usage: "/terminal action:edit-file arg0:<file>",
+    examples: ["/terminal action:edit-file arg0:notes.txt"],
     size: 8400, // Size in KB
     minVersion: {
       stable: "1.0.0",
@@ -0,0 +1,37 @@
+const { fail, collect } = require("../result");
+const { parseOptions } = require("../text");
+const { resolvePath, loadFilesystem, saveFilesystem } = require("../filesystem");
+const { gzipFile } = require("../archive");
+
+module.exports = {
+    name: "gunzip",
+    description: "Decompress .gz files, replacing each with the file it holds",
+    usage: "gunzip [-k] <file...>",
+    options: {
+      "-k": "Keep the compressed files",
+    },
+    examples: ["gunzip notes.txt.gz", "gunzip -k backup.tar.gz", "gunzip site.tgz"],
+    size: 130, // Size in KB
+    minVersion: {
+      stable: "1.0.0",
+      unstable: "1.0.0"
+    },
+    execute: async (interaction, userId, args) => {
+      const { flags, operands, error } = parseOptions("gunzip", args, "k");
+      if (error) return fail(error);
+      if (!operands.length) return fail("gunzip: Missing filename");
+
+      const userFS = await loadFilesystem(userId);
+      const output = [];
+      const errors = [];
+
+      for (const file of operands) {
+        const { message, error: gzipError } = gzipFile(userFS, resolvePath(userFS.currentDir, file, userFS.home), true, flags.has("k"));
+        if (gzipError) errors.push(`gunzip: ${gzipError}`);
+        else output.push(message);
+      }
+
+      await saveFilesystem(userId, userFS);
+      return collect(output, errors);
+    }
+  };
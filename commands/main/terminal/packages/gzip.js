@@ -0,0 +1,38 @@
+const { fail, collect } = require("../result");
+const { parseOptions } = require("../text");
+const { resolvePath, loadFilesystem, saveFilesystem } = require("../filesystem");
+const { gzipFile } = require("../archive");
+
+module.exports = {
+    name: "gzip",
+    description: "Compress files, replacing each with a .gz file that takes up less space",
+    usage: "gzip [-d] [-k] <file...>",
+    options: {
+      "-d": "Decompress instead, like gunzip",
+      "-k": "Keep the original files",
+    },
+    examples: ["gzip notes.txt", "gzip -k backup.tar", "gzip -d notes.txt.gz"],
+    size: 140, // Size in KB
+    minVersion: {
+      stable: "1.0.0",
+      unstable: "1.0.0"
+    },
+    execute: async (interaction, userId, args) => {
+      const { flags, operands, error } = parseOptions("gzip", args, "dk");
+      if (error) return fail(error);
+      if (!operands.length) return fail("gzip: Missing filename");
+
+      const userFS = await loadFilesystem(userId);
+      const output = [];
+      const errors = [];
+
+      for (const file of operands) {
+        const { message, error: gzipError } = gzipFile(userFS, resolvePath(userFS.currentDir, file, userFS.home), flags.has("d"), flags.has("k"));
+        if (gzipError) errors.push(`gzip: ${gzipError}`);
+        else output.push(message);
+      }
+
+      await saveFilesystem(userId, userFS);
+      return collect(output, errors);
+    }
+  };
@@ -1,6 +1,22 @@
 module.exports = {
     name: "happyphone",
     description: "Makes your phone happy",
+    usage: "happyphone",
+    examples: ["happyphone"],
+    // Installed to /sys/man/happyphone, where man finds it before the generated page
+    manPage: [
+      "HAPPYPHONE(1)",
+      "",
+      "NAME",
+      "    happyphone - Makes your phone happy",
+      "",
+      "SYNOPSIS",
+      "    happyphone",
+      "",
+      "DESCRIPTION",
+      "    Tells your phone to cheer up. Results may vary; run it again if your",
+      "    phone still looks sad.",
+    ].join("\n"),
     size: 413, // Size in KB
     minVersion: {
       stable: "1.0.0",
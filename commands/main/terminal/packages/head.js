@@ -0,0 +1,33 @@
+const { fail, collect } = require("../result");
+const { parseOptions, readInputs, splitLines } = require("../text");
+
+module.exports = {
+    name: "head",
+    description: "Print the first lines of files, or of piped input",
+    usage: "head [-n count] [file...]",
+    options: {
+      "-n count": "Number of lines to print, 10 by default",
+    },
+    examples: ["head notes.txt", "head -n 3 a.txt b.txt", "history | head -n 5"],
+    size: 96, // Size in KB
+    minVersion: {
+      stable: "1.0.0",
+      unstable: "1.0.0"
+    },
+    execute: async (interaction, userId, args, stdin) => {
+      const { values, operands, error } = parseOptions("head", args, "", "n");
+      if (error) return fail(error);
+
+      const count = values.n ?? "10";
+      if (!/^\d+$/.test(count)) return fail(`head: Invalid number of lines: ${count}`);
+
+      const { inputs, errors } = await readInputs(userId, "head", operands, stdin);
+      // Like coreutils, each file gets a header once there's more than one
+      const output = inputs.map(({ name, content }) => {
+        const lines = splitLines(content).slice(0, parseInt(count, 10)).join("\n");
+        return operands.length > 1 ? `==> ${name} <==\n${lines}` : lines;
+      });
+
+      return collect(output, errors);
+    }
+  };
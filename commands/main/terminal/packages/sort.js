@@ -0,0 +1,33 @@
+const { fail, collect } = require("../result");
+const { parseOptions, readInputs, splitLines } = require("../text");
+
+module.exports = {
+    name: "sort",
+    description: "Sort the lines of files, or of piped input",
+    usage: "sort [-r] [-n] [file...]",
+    options: {
+      "-r": "Reverse the order",
+      "-n": "Compare the numbers lines start with; lines without one count as 0",
+    },
+    examples: ["sort names.txt", "sort -rn scores.txt", "env | sort"],
+    size: 180, // Size in KB
+    minVersion: {
+      stable: "1.0.0",
+      unstable: "1.0.0"
+    },
+    execute: async (interaction, userId, args, stdin) => {
+      const { flags, operands, error } = parseOptions("sort", args, "rn");
+      if (error) return fail(error);
+
+      const { inputs, errors } = await readInputs(userId, "sort", operands, stdin);
+      const lines = inputs.flatMap(({ content }) => splitLines(content));
+
+      // Lines with equal numbers fall back to comparing the whole line, like sort does
+      const compareText = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+      const compareNumbers = (a, b) => (parseFloat(a) || 0) - (parseFloat(b) || 0) || compareText(a, b);
+      lines.sort(flags.has("n") ? compareNumbers : compareText);
+      if (flags.has("r")) lines.reverse();
+
+      return collect(lines.length ? [lines.join("\n")] : [], errors);
+    }
+  };
@@ -0,0 +1,34 @@
+const { fail, collect } = require("../result");
+const { parseOptions, readInputs, splitLines } = require("../text");
+
+module.exports = {
+    name: "tail",
+    description: "Print the last lines of files, or of piped input",
+    usage: "tail [-n count|+start] [file...]",
+    options: {
+      "-n count": "Number of lines to print, 10 by default",
+      "-n +start": "Print everything from line start onwards",
+    },
+    examples: ["tail notes.txt", "tail -n 3 log.txt", "tail -n +2 table.csv"],
+    size: 96, // Size in KB
+    minVersion: {
+      stable: "1.0.0",
+      unstable: "1.0.0"
+    },
+    execute: async (interaction, userId, args, stdin) => {
+      const { values, operands, error } = parseOptions("tail", args, "", "n");
+      if (error) return fail(error);
+
+      const count = values.n ?? "10";
+      if (!/^\+?\d+$/.test(count)) return fail(`tail: Invalid number of lines: ${count}`);
+
+      const { inputs, errors } = await readInputs(userId, "tail", operands, stdin);
+      const output = inputs.map(({ name, content }) => {
+        const lines = splitLines(content);
+        const shown = count.startsWith("+") ? lines.slice(Math.max(0, parseInt(count, 10) - 1)) : lines.slice(lines.length - parseInt(count, 10));
+        return operands.length > 1 ? `==> ${name} <==\n${shown.join("\n")}` : shown.join("\n");
+      });
+
+      return collect(output, errors);
+    }
+  };
@@ -0,0 +1,87 @@
+const { fail, collect } = require("../result");
+const { parseOptions } = require("../text");
+const { resolvePath, getNodeAtPath, readFile, writeFile, loadFilesystem, saveFilesystem } = require("../filesystem");
+const { formatMode } = require("../permissions");
+const { createTar, readTar, gzip, gunzip, isGzip, collectPaths, extractEntries } = require("../archive");
+
+module.exports = {
+    name: "tar",
+    description: "Pack files and directories into a tar archive, list one or unpack it",
+    usage: "tar -c|-t|-x [-z] [-v] -f <archive> [-C directory] [path...]",
+    options: {
+      "-c": "Create an archive of the paths given",
+      "-t": "List the contents of an archive",
+      "-x": "Extract an archive",
+      "-f archive": "Archive file to create or read",
+      "-z": "Compress the archive with gzip; compressed archives are read with or without it",
+      "-v": "List entries as they're added or extracted, and in detail with -t",
+      "-C directory": "Directory to extract into, or to take the paths from when creating",
+    },
+    examples: ["tar -cf notes.tar notes", "tar -czf backup.tar.gz ~", "tar -tvf notes.tar", "tar -xf notes.tar -C /tmp"],
+    size: 410, // Size in KB
+    minVersion: {
+      stable: "1.0.0",
+      unstable: "1.0.0"
+    },
+    execute: async (interaction, userId, args) => {
+      const { flags, values, operands, error } = parseOptions("tar", args, "ctxzv", "fC");
+      if (error) return fail(error);
+      if ([..."ctx"].filter((flag) => flags.has(flag)).length !== 1) return fail("tar: Use exactly one of -c, -t and -x");
+      if (!values.f) return fail("tar: Missing archive, name it with -f");
+
+      const userFS = await loadFilesystem(userId);
+      const archivePath = resolvePath(userFS.currentDir, values.f, userFS.home);
+      const directory = resolvePath(userFS.currentDir, values.C || ".", userFS.home);
+      if (getNodeAtPath(userFS, directory)?.type !== "directory") return fail(`tar: ${directory}: Not a directory`);
+
+      if (flags.has("c")) {
+        if (!operands.length) return fail("tar: Nothing to archive, give the paths to pack");
+
+        const { entries, errors } = collectPaths(userFS, directory, operands);
+        if (!entries.length) return collect([], ["tar: Nothing to archive", ...errors.map((message) => `tar: ${message}`)]);
+
+        const { data, error: tarError } = createTar(entries);
+        if (tarError) return fail(`tar: ${tarError}`);
+
+        const archive = flags.has("z") ? gzip(data) : data;
+        const { error: writeError } = writeFile(userFS, archivePath, archive);
+        if (writeError) errors.push(writeError);
+        else await saveFilesystem(userId, userFS);
+
+        const output = flags.has("v") ? entries.map((entry) => (entry.type === "directory" ? `${entry.name}/` : entry.name)) : [];
+        if (!writeError) output.push(`Created ${archivePath} (${entries.length} ${entries.length === 1 ? "entry" : "entries"}, ${archive.length} bytes)`);
+        return collect(output, errors.map((message) => `tar: ${message}`));
+      }
+
+      const { data, error: readError } = readFile(userFS, archivePath);
+      if (readError) return fail(`tar: ${readError}`);
+
+      // Like GNU tar, compressed archives are recognized without -z
+      const unpacked = isGzip(data) ? gunzip(data) : { data };
+      if (unpacked.error) return fail(`tar: ${archivePath}: ${unpacked.error}`);
+      const { entries, error: tarError } = readTar(unpacked.data);
+      if (tarError) return fail(`tar: ${archivePath}: ${tarError}`);
+
+      if (flags.has("t")) {
+        // Keep the access time readFile updated
+        await saveFilesystem(userId, userFS);
+
+        return collect(entries.map((entry) => {
+          const name = entry.type === "directory" ? `${entry.name}/` : entry.name;
+          if (!flags.has("v")) return name;
+
+          const size = entry.type === "file" ? entry.content.length : 0;
+          const date = new Date(entry.modified).toISOString().slice(0, 16).replace("T", " ");
+          const link = entry.type === "symlink" ? ` -> ${entry.content}` : "";
+          return `${formatMode(entry)} ${String(size).padStart(8)} ${date} ${name}${link}`;
+        }), []);
+      }
+
+      const { extracted, errors } = extractEntries(userFS, directory, entries);
+      await saveFilesystem(userId, userFS);
+
+      const output = flags.has("v") ? [...extracted] : [];
+      output.push(`Extracted ${extracted.length} ${extracted.length === 1 ? "entry" : "entries"} to ${directory}`);
+      return collect(output, errors.map((message) => `tar: ${message}`));
+    }
+  };
@@ -0,0 +1,32 @@
+const { fail, collect } = require("../result");
+const { parseOptions, readInputs, splitLines } = require("../text");
+
+module.exports = {
+    name: "uniq",
+    description: "Drop repeated adjacent lines of files, or of piped input",
+    usage: "uniq [-c] [file...]",
+    options: {
+      "-c": "Prefix each line with the number of times it was repeated",
+    },
+    examples: ["uniq log.txt", "sort names.txt | uniq -c"],
+    size: 88, // Size in KB
+    minVersion: {
+      stable: "1.0.0",
+      unstable: "1.0.0"
+    },
+    execute: async (interaction, userId, args, stdin) => {
+      const { flags, operands, error } = parseOptions("uniq", args, "c");
+      if (error) return fail(error);
+
+      const { inputs, errors } = await readInputs(userId, "uniq", operands, stdin);
+      const groups = [];
+      for (const line of inputs.flatMap(({ content }) => splitLines(content))) {
+        const last = groups[groups.length - 1];
+        if (last && last.line === line) last.count++;
+        else groups.push({ line, count: 1 });
+      }
+
+      const output = groups.map(({ line, count }) => (flags.has("c") ? `${String(count).padStart(7)} ${line}` : line));
+      return collect(output.length ? [output.join("\n")] : [], errors);
+    }
+  };
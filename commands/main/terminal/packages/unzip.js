@@ -0,0 +1,57 @@
+const { fail, collect } = require("../result");
+const { parseOptions } = require("../text");
+const { resolvePath, getNodeAtPath, readFile, loadFilesystem, saveFilesystem } = require("../filesystem");
+const { readZip, extractEntries } = require("../archive");
+
+module.exports = {
+    name: "unzip",
+    description: "Unpack a zip archive, or list what it holds",
+    usage: "unzip [-l] <archive> [-d directory]",
+    options: {
+      "-l": "List the contents instead of extracting them",
+      "-d directory": "Directory to extract into, the current directory by default",
+    },
+    examples: ["unzip notes.zip", "unzip -l backup.zip", "unzip notes.zip -d /tmp"],
+    size: 260, // Size in KB
+    minVersion: {
+      stable: "1.0.0",
+      unstable: "1.0.0"
+    },
+    execute: async (interaction, userId, args) => {
+      const { flags, values, operands, error } = parseOptions("unzip", args, "l", "d");
+      if (error) return fail(error);
+      if (operands.length !== 1) return fail("Usage: unzip [-l] <archive> [-d directory]");
+
+      const userFS = await loadFilesystem(userId);
+      const archivePath = resolvePath(userFS.currentDir, operands[0], userFS.home);
+
+      const { data, error: readError } = readFile(userFS, archivePath);
+      if (readError) return fail(`unzip: ${readError}`);
+      const { entries, error: zipError } = readZip(data);
+      if (zipError) return fail(`unzip: ${archivePath}: ${zipError}`);
+
+      if (flags.has("l")) {
+        // Keep the access time readFile updated
+        await saveFilesystem(userId, userFS);
+
+        const total = entries.reduce((sum, entry) => sum + (entry.type === "directory" ? 0 : entry.content.length), 0);
+        const lines = entries.map((entry) => {
+          const size = entry.type === "directory" ? 0 : entry.content.length;
+          const date = new Date(entry.modified).toISOString().slice(0, 16).replace("T", " ");
+          return `${String(size).padStart(9)}  ${date}   ${entry.type === "directory" ? `${entry.name}/` : entry.name}`;
+        });
+        return collect([...lines, `${String(total).padStart(9)}                     ${entries.length} ${entries.length === 1 ? "file" : "files"}`], []);
+      }
+
+      const directory = resolvePath(userFS.currentDir, values.d || ".", userFS.home);
+      if (getNodeAtPath(userFS, directory)?.type !== "directory") return fail(`unzip: ${directory}: Not a directory`);
+
+      const { extracted, errors } = extractEntries(userFS, directory, entries);
+      await saveFilesystem(userId, userFS);
+
+      return collect(
+        [`Extracted ${extracted.length} ${extracted.length === 1 ? "entry" : "entries"} to ${directory}`],
+        errors.map((message) => `unzip: ${message}`)
+      );
+    }
+  };
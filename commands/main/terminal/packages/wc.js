@@ -0,0 +1,42 @@
+const { fail, collect } = require("../result");
+const { parseOptions, readInputs, splitLines } = require("../text");
+
+module.exports = {
+    name: "wc",
+    description: "Count the lines, words and bytes of files, or of piped input",
+    usage: "wc [-l] [-w] [-c] [file...]",
+    options: {
+      "-l": "Count lines",
+      "-w": "Count words",
+      "-c": "Count bytes",
+    },
+    examples: ["wc notes.txt", "wc -l *.txt", "ls | wc -l"],
+    size: 120, // Size in KB
+    minVersion: {
+      stable: "1.0.0",
+      unstable: "1.0.0"
+    },
+    execute: async (interaction, userId, args, stdin) => {
+      const { flags, operands, error } = parseOptions("wc", args, "lwc");
+      if (error) return fail(error);
+
+      // With no option, all three counts are shown
+      const counts = ["l", "w", "c"].filter((flag) => !flags.size || flags.has(flag));
+      const { inputs, errors } = await readInputs(userId, "wc", operands, stdin);
+
+      const rows = inputs.map(({ name, content }) => ({
+        name: name === "-" ? "" : name,
+        l: splitLines(content).length,
+        w: content.split(/\s+/).filter(Boolean).length,
+        c: Buffer.byteLength(content),
+      }));
+      if (rows.length > 1) {
+        rows.push({ name: "total", ...Object.fromEntries(counts.map((flag) => [flag, rows.reduce((sum, row) => sum + row[flag], 0)])) });
+      }
+
+      const width = Math.max(1, ...rows.flatMap((row) => counts.map((flag) => String(row[flag]).length)));
+      const output = rows.map((row) => [...counts.map((flag) => String(row[flag]).padStart(width)), row.name].join(" ").trimEnd());
+
+      return collect(output, errors);
+    }
+  };
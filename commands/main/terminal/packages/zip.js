@@ -0,0 +1,41 @@
+const { fail, collect } = require("../result");
+const { parseOptions } = require("../text");
+const { resolvePath, writeFile, loadFilesystem, saveFilesystem } = require("../filesystem");
+const { createZip, collectPaths } = require("../archive");
+
+module.exports = {
+    name: "zip",
+    description: "Pack files and directories, with everything inside them, into a zip archive",
+    usage: "zip <archive> <path...>",
+    options: {
+      archive: 'Archive file to create; ".zip" is added to names without an extension',
+    },
+    examples: ["zip notes.zip notes", "zip backup ~/notes todo.txt"],
+    size: 290, // Size in KB
+    minVersion: {
+      stable: "1.0.0",
+      unstable: "1.0.0"
+    },
+    execute: async (interaction, userId, args) => {
+      const { operands, error } = parseOptions("zip", args, "");
+      if (error) return fail(error);
+      if (operands.length < 2) return fail("Usage: zip <archive> <path...>");
+
+      const userFS = await loadFilesystem(userId);
+      const [archive, ...paths] = operands;
+      const archivePath = resolvePath(userFS.currentDir, /\.[^./]+$/.test(archive) ? archive : `${archive}.zip`, userFS.home);
+
+      const { entries, errors } = collectPaths(userFS, userFS.currentDir, paths);
+      if (!entries.length) return collect([], ["zip: Nothing to archive", ...errors.map((message) => `zip: ${message}`)]);
+
+      const data = createZip(entries);
+      const { error: writeError } = writeFile(userFS, archivePath, data);
+      if (writeError) return collect([], [...errors, writeError].map((message) => `zip: ${message}`));
+
+      await saveFilesystem(userId, userFS);
+      return collect(
+        [`Created ${archivePath} (${entries.length} ${entries.length === 1 ? "entry" : "entries"}, ${data.length} bytes)`],
+        errors.map((message) => `zip: ${message}`)
+      );
+    }
+  };
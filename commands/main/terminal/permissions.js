@@ -0,0 +1,272 @@
+/**
+ * Unix-style ownership and mode bits for the virtual filesystem
+ *
+ * Every node carries numeric owner and group IDs and a mode. The terminal always acts
+ * as the regular user; root owns the system files under /sys that it mustn't change.
+ */
+
+// User and group IDs, shared by the user's private group
+const ROOT_UID = 0;
+const USER_UID = 1000;
+
+// Owner that files shared by other users appear to have, so the terminal user gets only the access granted
+const SHARED_UID = 1001;
+
+// Bits of each access type within an rwx triple
+const ACCESS_BITS = { r: 4, w: 2, x: 1 };
+
+// In a directory with the sticky bit, only an entry's owner or the directory's owner may remove it
+const STICKY_BIT = 0o1000;
+
+/**
+ * Get the name shown for a user or group ID
+ * @param {number} id - User or group ID
+ * @param {string} username - Name of the terminal user
+ * @returns {string} - "root", the user's name, "shared" or the bare ID
+ */
+function getOwnerName(id, username) {
+  if (id === ROOT_UID) return "root";
+  if (id === USER_UID) return username;
+  if (id === SHARED_UID) return "shared";
+  return String(id);
+}
+
+/**
+ * Look up the ID of a user or group name
+ * @param {string} name - "root", the user's name or a numeric ID
+ * @param {string} username - Name of the terminal user
+ * @returns {number|null} - ID, or null for an unknown name
+ */
+function resolveOwnerId(name, username) {
+  if (name === "root") return ROOT_UID;
+  if (name === username) return USER_UID;
+  if (/^\d+$/.test(name)) return parseInt(name, 10);
+  return null;
+}
+
+/**
+ * Default mode of a new node; links are always 777, as their target's mode is what counts
+ * @param {string} type - "file", "directory" or "symlink"
+ * @returns {number} - Mode bits
+ */
+function defaultMode(type) {
+  if (type === "symlink") return 0o777;
+  return type === "directory" ? 0o755 : 0o644;
+}
+
+/**
+ * Ownership and mode for a node the user creates
+ * @param {string} type - "file", "directory" or "symlink"
+ * @returns {Object} - { owner, group, mode }
+ */
+function userOwned(type) {
+  return { owner: USER_UID, group: USER_UID, mode: defaultMode(type) };
+}
+
+/**
+ * Ownership and mode for a node the system creates, such as an installed package file
+ * @param {string} type - "file", "directory" or "symlink"
+ * @returns {Object} - { owner, group, mode }
+ */
+function systemOwned(type) {
+  return { owner: ROOT_UID, group: ROOT_UID, mode: defaultMode(type) };
+}
+
+/**
+ * Check whether the user has the given access to a node
+ * @param {Object} node - File or directory node
+ * @param {string} access - Any combination of "r", "w" and "x"
+ * @returns {boolean} - Whether every requested access is allowed
+ */
+function hasAccess(node, access) {
+  const { owner, group, mode } = { ...userOwned(node.type), ...node };
+  const shift = owner === USER_UID ? 6 : group === USER_UID ? 3 : 0;
+  return [...access].every((type) => ((mode >> shift) & ACCESS_BITS[type]) !== 0);
+}
+
+/**
+ * Resolve the symbolic links in a path
+ *
+ * Required lazily because the filesystem module depends on this one.
+ * @param {Object} filesystem - User's filesystem
+ * @param {string} path - Absolute path
+ * @param {boolean} followLast - Whether a link in the last component is followed too
+ * @returns {Object} - { path } without links, or { error } when links loop
+ */
+function resolveLinks(filesystem, path, followLast) {
+  return require("./filesystem").resolveLinks(filesystem, path, followLast);
+}
+
+/**
+ * Check access to a path, including search (x) permission on every directory leading to it
+ *
+ * Missing paths pass, so callers still report "No such file or directory" themselves.
+ * Symbolic links are followed, so it's the directories and node they lead to that are checked.
+ * @param {Object} filesystem - User's filesystem
+ * @param {string} path - Absolute path
+ * @param {string} [access] - Access needed on the node itself, e.g. "r" or "wx"; none for plain traversal
+ * @param {boolean} [followLast] - Whether a link in the last component is followed, rather than checked itself
+ * @returns {Object} - Empty object when allowed, or { error }
+ */
+function checkAccess(filesystem, path, access = "", followLast = true) {
+  const realPath = resolveLinks(filesystem, path, followLast).path;
+  if (!realPath) return { error: `${path}: Too many levels of symbolic links` };
+
+  let current = filesystem.fs["/"];
+
+  for (const part of realPath.split("/").filter((p) => p)) {
+    if (current.type !== "directory" || !current.children[part]) return {};
+    if (!hasAccess(current, "x")) return { error: `${path}: Permission denied` };
+    current = current.children[part];
+  }
+
+  if (access && !hasAccess(current, access)) return { error: `${path}: Permission denied` };
+  return {};
+}
+
+/**
+ * Check whether an entry of a directory may be removed, along with everything inside it
+ * @param {Object} parent - Directory holding the entry
+ * @param {Object} node - Entry to remove
+ * @returns {boolean} - Whether the removal is allowed
+ */
+function isRemovable(parent, node) {
+  if (!hasAccess(parent, "wx")) return false;
+  if ((parent.mode & STICKY_BIT) && node.owner !== USER_UID && parent.owner !== USER_UID) return false;
+  if (node.type !== "directory" || !Object.keys(node.children).length) return true;
+
+  return hasAccess(node, "r") && Object.values(node.children).every((child) => isRemovable(node, child));
+}
+
+/**
+ * Check whether a path may be removed, which needs write access to its directory
+ * @param {Object} filesystem - User's filesystem
+ * @param {string} path - Absolute path of an existing node
+ * @returns {Object} - Empty object when allowed, or { error }
+ */
+function checkRemove(filesystem, path) {
+  // Removing a link removes the link itself, so only the directories leading to it are resolved
+  const realPath = resolveLinks(filesystem, path, false).path;
+  if (!realPath) return { error: `${path}: Too many levels of symbolic links` };
+
+  const parentPath = realPath.slice(0, realPath.lastIndexOf("/")) || "/";
+  const { error } = checkAccess(filesystem, parentPath, "x");
+  if (error) return { error: `${path}: Permission denied` };
+
+  let parent = filesystem.fs["/"];
+  for (const part of parentPath.split("/").filter((p) => p)) parent = parent.children[part];
+  const node = parent.children[realPath.slice(realPath.lastIndexOf("/") + 1)];
+
+  return isRemovable(parent, node) ? {} : { error: `${path}: Permission denied` };
+}
+
+/**
+ * Format a node's type and mode the way ls -l does
+ * @param {Object} node - File or directory node
+ * @returns {string} - e.g. "drwxr-xr-x", "-rw-r--r--" or "lrwxrwxrwx"
+ */
+function formatMode(node) {
+  const { mode } = { ...userOwned(node.type), ...node };
+  let text = { directory: "d", symlink: "l" }[node.type] || "-";
+
+  for (const shift of [6, 3, 0]) {
+    text += mode & (4 << shift) ? "r" : "-";
+    text += mode & (2 << shift) ? "w" : "-";
+    text += mode & (1 << shift) ? "x" : "-";
+  }
+
+  if (mode & STICKY_BIT) text = text.slice(0, -1) + (mode & 1 ? "t" : "T");
+  return text;
+}
+
+/**
+ * Apply a chmod mode, either octal ("755") or symbolic ("u+x", "go-w", "a=r,u+w")
+ * @param {string} spec - Mode as given to chmod
+ * @param {Object} node - Node whose current mode symbolic changes start from
+ * @returns {number|null} - New mode, or null if the spec is invalid
+ */
+function parseMode(spec, node) {
+  if (/^[0-7]{1,4}$/.test(spec)) return parseInt(spec, 8);
+
+  let mode = { ...userOwned(node.type), ...node }.mode;
+
+  for (const clause of spec.split(",")) {
+    const match = clause.match(/^([ugoa]*)((?:[-+=][rwxXt]*)+)$/);
+    if (!match) return null;
+
+    const who = match[1] && !match[1].includes("a") ? match[1] : "ugo";
+    const shifts = [...who].map((target) => ({ u: 6, g: 3, o: 0 })[target]);
+
+    for (const [, op, perms] of match[2].matchAll(/([-+=])([rwxXt]*)/g)) {
+      let bits = 0;
+      for (const perm of perms) {
+        if (perm === "t") {
+          bits |= STICKY_BIT;
+          continue;
+        }
+        // "X" only sets execute on directories and files that are already executable by someone
+        if (perm === "X" && node.type !== "directory" && !(mode & 0o111)) continue;
+        for (const shift of shifts) bits |= ACCESS_BITS[perm === "X" ? "x" : perm] << shift;
+      }
+
+      if (op === "+") mode |= bits;
+      else if (op === "-") mode &= ~bits;
+      else {
+        const cleared = shifts.reduce((mask, shift) => mask | (7 << shift), 0);
+        mode = (mode & ~cleared) | bits;
+      }
+    }
+  }
+
+  return mode;
+}
+
+/**
+ * Give every node without ownership or a mode its defaults, converting the old readOnly and hidden flags
+ *
+ * System files under /sys and /home itself are owned by root, except the configuration dotfiles users keep in /sys/os.
+ * "/" and /sys/os are sticky and writable by everyone, like /tmp, so users can create entries there
+ * but can't remove the system's.
+ * @param {Object} filesystem - User's filesystem, updated in place
+ * @returns {Object} - The same filesystem
+ */
+function applyDefaultPermissions(filesystem) {
+  const visit = (node, path) => {
+    const isSystem = path === "/home" || ((path === "/sys" || path.startsWith("/sys/")) && !/^\/sys\/os\/\.[^/]+$/.test(path));
+    const defaults = isSystem ? systemOwned(node.type) : userOwned(node.type);
+
+    if (path === "/" || path === "/sys/os") Object.assign(defaults, systemOwned(node.type), { mode: 0o1777 });
+    if (node.readOnly) defaults.mode = node.hidden ? 0o600 : 0o444;
+
+    node.owner ??= defaults.owner;
+    node.group ??= defaults.group;
+    node.mode ??= defaults.mode;
+    delete node.readOnly;
+    delete node.hidden;
+
+    if (node.type === "directory") {
+      for (const [name, child] of Object.entries(node.children)) {
+        visit(child, path === "/" ? `/${name}` : `${path}/${name}`);
+      }
+    }
+  };
+
+  visit(filesystem.fs["/"], "/");
+  return filesystem;
+}
+
+module.exports = {
+  ROOT_UID,
+  USER_UID,
+  SHARED_UID,
+  getOwnerName,
+  resolveOwnerId,
+  userOwned,
+  systemOwned,
+  hasAccess,
+  checkAccess,
+  checkRemove,
+  formatMode,
+  parseMode,
+  applyDefaultPermissions,
+};
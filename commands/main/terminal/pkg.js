@@ -1,8 +1,11 @@
 const fs = require('node:fs');
 const path = require('node:path');
-const { loadFromDB, saveToDB } = require("../../../db/utils");
-const { createFilesystem } = require("./filesystem");
+const { loadFilesystem, saveFilesystem, timestamps, checkSpace } = require("./filesystem");
 const { createDownloadSteps, formatSize } = require("./network");
+const { fail } = require("./result");
+const { installManPage, removeManPage } = require("./manual");
+const { systemOwned } = require("./permissions");
+const { createSnapshot } = require("./snapshots");
 
 // OS version info
 const latestOSVersion = "1.0.0.1";
@@ -14,6 +17,8 @@ const osBranches = {
 // Package definitions and update sizes
 let packageDefinitions = {};
 const PACKAGE_SIZES = {};
+// Description, usage, options, examples and shipped man page of each package, for man and help
+const packageManuals = {};
 const UPDATE_SIZES = {};
 
 // Store package executors separately to avoid circular dependencies
@@ -59,6 +64,14 @@ function loadPackages() {
           
           // Store package size
           PACKAGE_SIZES[packageName] = packageData.size || 1024;
+
+          packageManuals[packageName] = {
+            description: packageData.description,
+            usage: packageData.usage,
+            options: packageData.options,
+            examples: packageData.examples,
+            manPage: packageData.manPage,
+          };
           
           // Store package execute function in our local map instead of directly accessing commands.js
           if (packageData.execute) {
@@ -209,6 +222,17 @@ function setDownloadStatus(userId, packageName, downloadState) {
   }
 }
 
+/**
+ * List the packages and updates a user is downloading
+ * @param {string} userId - User ID
+ * @returns {Array<string>} - Names of active downloads
+ */
+function getActiveDownloads(userId) {
+  return Array.from(activeDownloads.keys())
+    .filter((key) => key.startsWith(`${userId}:`))
+    .map((key) => key.split(":")[1]);
+}
+
 /**
  * Get OS update size based on version
  * @param {string} version - OS version to check
@@ -252,9 +276,10 @@ async function processDownload(userId, userFS, packageName, initialRequest = fal
           
           // Update OS version
           userFS.fs["/"].children.sys.children.os_version.content = targetVersion;
+          userFS.fs["/"].children.sys.children.os_version.modified = Date.now();
           
           // Save and clear the download status
-          await saveToDB("user_filesystems", userId, userFS);
+          await saveFilesystem(userId, userFS);
           setDownloadStatus(userId, packageName, null); // Clear download
           
           return `System updated to version ${targetVersion} (${currentBranch} branch)`;
@@ -268,10 +293,13 @@ async function processDownload(userId, userFS, packageName, initialRequest = fal
           pkgDir[`${packageName}.pkg`] = {
             type: "file",
             content: `Package: ${packageName}\nVersion: ${currentVersion}\nBranch: ${currentBranch}`,
+            ...systemOwned("file"),
+            ...timestamps(),
           };
+          if (packageManuals[packageName]?.manPage) installManPage(userFS, packageName, packageManuals[packageName].manPage);
 
           // Save and clear the download status
-          await saveToDB("user_filesystems", userId, userFS);
+          await saveFilesystem(userId, userFS);
           setDownloadStatus(userId, packageName, null); // Clear download
           
           return `Package ${packageName} installed successfully`;
@@ -305,7 +333,8 @@ async function processDownload(userId, userFS, packageName, initialRequest = fal
       if (steps.length === 1 && steps[0].wait === 0 && !config.enabled) {
         const currentBranch = userFS.fs["/"].children.sys.children.os_branch?.content || "stable";
         userFS.fs["/"].children.sys.children.os_version.content = targetVersion;
-        await saveToDB("user_filesystems", userId, userFS);
+        userFS.fs["/"].children.sys.children.os_version.modified = Date.now();
+        await saveFilesystem(userId, userFS);
         return `System updated to version ${targetVersion} (${currentBranch} branch) instantly`;
       }
       
@@ -336,9 +365,12 @@ async function processDownload(userId, userFS, packageName, initialRequest = fal
         pkgDir[`${packageName}.pkg`] = {
           type: "file",
           content: `Package: ${packageName}\nVersion: ${currentVersion}\nBranch: ${currentBranch}`,
+          ...systemOwned("file"),
+          ...timestamps(),
         };
+        if (packageManuals[packageName]?.manPage) installManPage(userFS, packageName, packageManuals[packageName].manPage);
         
-        await saveToDB("user_filesystems", userId, userFS);
+        await saveFilesystem(userId, userFS);
         return `Installed package: ${packageName} instantly`;
       }
       
@@ -388,24 +420,25 @@ async function startUpdateDownload(userId, targetVersion) {
  * Package manager command
  * @param {string} userId - User ID
  * @param {Array} args - Command arguments
- * @returns {string} - Command output
+ * @param {Array<string>} [startedDownloads] - Collects the names of the downloads this call starts
+ * @returns {Promise<Object|string>} - Command result, or plain output on success
  */
-async function pkgCommand(userId, args) {
+async function pkgCommand(userId, args, startedDownloads = []) {
   // Refresh package and update definitions
   loadPackages();
   loadUpdates();
   
   const subcommand = args[0];
   if (!subcommand) {
-    return 'pkg: Missing subcommand. Use "install", "remove", "list", "search", "branches", "status", or "upgrade".';
+    return fail('pkg: Missing subcommand. Use "install", "remove", "list", "search", "branches", "status", or "upgrade".');
   }
 
-  const userFS = await loadFromDB("user_filesystems", userId, createFilesystem());
+  const userFS = await loadFilesystem(userId);
   const sysDir = userFS.fs["/"].children.sys;
 
   // Make sure os_branch exists
   if (!sysDir.children.os_branch) {
-    sysDir.children.os_branch = { type: "file", content: "stable" };
+    sysDir.children.os_branch = { type: "file", content: "stable", ...systemOwned("file"), ...timestamps() };
   }
 
   if (subcommand === "upgrade") {
@@ -416,13 +449,13 @@ async function pkgCommand(userId, args) {
     if (branchIndex !== -1) {
       const branchArg = args[branchIndex].substring(2);
       if (!osBranches[branchArg]) {
-        return `pkg: Unknown branch '${branchArg}'. Available branches: ${Object.keys(osBranches).join(", ")}`;
+        return fail(`pkg: Unknown branch '${branchArg}'. Available branches: ${Object.keys(osBranches).join(", ")}`);
       }
       targetBranch = branchArg;
     }
 
     if (!sysDir.children.os_version) {
-      sysDir.children.os_version = { type: "file", content: "1.0.0" };
+      sysDir.children.os_version = { type: "file", content: "1.0.0", ...systemOwned("file"), ...timestamps() };
     }
 
     const currentVersion = sysDir.children.os_version.content;
@@ -435,19 +468,31 @@ async function pkgCommand(userId, args) {
 
     // Handle downgrade scenario - detect if going from unstable to stable
     const isDowngrade = currentBranch === "unstable" && targetBranch === "stable" && compareVersions(currentVersion, targetVersion) > 0;
+
+    // Keep the system as it was before the upgrade so it can be rolled back with snapshot restore
+    const snapshotName = `pre-upgrade-${currentVersion}`;
+    const { dropped, error: snapshotError } = await createSnapshot(userId, userFS, snapshotName, true);
     
     // Change branch first (even if version stays the same)
     sysDir.children.os_branch.content = targetBranch;
-    await saveToDB("user_filesystems", userId, userFS);
+    sysDir.children.os_branch.modified = Date.now();
+    await saveFilesystem(userId, userFS);
 
     // Start the update download with network simulation
     const downloadState = await startUpdateDownload(userId, targetVersion);
     const firstStep = downloadState.steps[0];
+    startedDownloads.push(`update-${targetVersion}`);
     
+    const snapshotNote = snapshotError
+      ? `Couldn't save a snapshot to roll back to: ${snapshotError}`
+      : [
+          ...dropped.map((old) => (old === snapshotName ? `Replaced snapshot ${old}` : `Removed oldest automatic snapshot ${old}`)),
+          `Saved snapshot ${snapshotName}, restore it with "snapshot restore ${snapshotName}" to roll back.`,
+        ].join("\n");
     if (isDowngrade) {
-      return `Starting downgrade from ${currentBranch} (${currentVersion}) to ${targetBranch} (${targetVersion})...\n${firstStep.message}`;
+      return `${snapshotNote}\nStarting downgrade from ${currentBranch} (${currentVersion}) to ${targetBranch} (${targetVersion})...\n${firstStep.message}`;
     } else {
-      return `Starting system ${currentVersion === targetVersion ? "switch" : "upgrade"} to ${targetVersion} (${targetBranch} branch)...\n${firstStep.message}`;
+      return `${snapshotNote}\nStarting system ${currentVersion === targetVersion ? "switch" : "upgrade"} to ${targetVersion} (${targetBranch} branch)...\n${firstStep.message}`;
     }
   }
 
@@ -458,11 +503,11 @@ async function pkgCommand(userId, args) {
   switch (subcommand) {
     case "install": {
       const pkgName = args[1];
-      if (!pkgName) return "Usage: pkg install <package>";
+      if (!pkgName) return fail("Usage: pkg install <package>");
 
       // Check if the package is already installed
       if (pkgDir[`${pkgName}.pkg`]) {
-        return `pkg: Package '${pkgName}' is already installed.`;
+        return fail(`pkg: Package '${pkgName}' is already installed.`);
       }
 
       // Check if package is available for the current version and branch
@@ -470,32 +515,42 @@ async function pkgCommand(userId, args) {
         // If package exists but isn't available in this branch/version
         if (packageDefinitions[pkgName]) {
           if (packageDefinitions[pkgName][currentBranch]) {
-            return `pkg: Package '${pkgName}' requires ${currentBranch} version ${packageDefinitions[pkgName][currentBranch].minVersion} or later.`;
+            return fail(`pkg: Package '${pkgName}' requires ${currentBranch} version ${packageDefinitions[pkgName][currentBranch].minVersion} or later.`);
           } else {
-            return `pkg: Package '${pkgName}' is not available on the ${currentBranch} branch.`;
+            return fail(`pkg: Package '${pkgName}' is not available on the ${currentBranch} branch.`);
           }
         }
-        return `pkg: Package '${pkgName}' not found.`;
+        return fail(`pkg: Package '${pkgName}' not found.`);
       }
 
       // Cancel any existing download for this package
       setDownloadStatus(userId, pkgName, null);
 
+      // Room is needed for this package and any others still downloading
+      const pendingSize = getActiveDownloads(userId)
+        .filter((name) => PACKAGE_SIZES[name])
+        .reduce((total, name) => total + PACKAGE_SIZES[name], PACKAGE_SIZES[pkgName] || 1024);
+      const { error: spaceError } = checkSpace(userFS, pendingSize * 1024);
+      if (spaceError) return fail(`pkg: Cannot install '${pkgName}': ${spaceError}`);
+
       // Check if there's an existing download or start a new one
-      return await processDownload(userId, userFS, pkgName, true);
+      const message = await processDownload(userId, userFS, pkgName, true);
+      if (getDownloadStatus(userId, pkgName)) startedDownloads.push(pkgName);
+      return message;
     }
 
     case "remove": {
       const pkgName = args[1];
-      if (!pkgName) return "Usage: pkg remove <package>";
+      if (!pkgName) return fail("Usage: pkg remove <package>");
 
       // Cancel any ongoing download
       setDownloadStatus(userId, pkgName, null);
 
-      if (!pkgDir[`${pkgName}.pkg`]) return `pkg: Package not found: ${pkgName}`;
+      if (!pkgDir[`${pkgName}.pkg`]) return fail(`pkg: Package not found: ${pkgName}`);
 
       delete pkgDir[`${pkgName}.pkg`];
-      await saveToDB("user_filesystems", userId, userFS);
+      removeManPage(userFS, pkgName);
+      await saveFilesystem(userId, userFS);
       return `Removed package: ${pkgName}`;
     }
 
@@ -509,7 +564,7 @@ async function pkgCommand(userId, args) {
       const totalPages = Math.max(1, Math.ceil(installedPackages.length / pageSize));
 
       if (pageNumber < 1 || pageNumber > totalPages) {
-        return `pkg: Invalid page number. Valid range: 1-${totalPages}`;
+        return fail(`pkg: Invalid page number. Valid range: 1-${totalPages}`);
       }
 
       const start = (pageNumber - 1) * pageSize;
@@ -547,7 +602,7 @@ async function pkgCommand(userId, args) {
       const totalPages = Math.max(1, Math.ceil(filteredPackages.length / pageSize));
 
       if (pageNumber < 1 || pageNumber > totalPages) {
-        return `pkg: Invalid page number. Valid range: 1-${totalPages || 1}`;
+        return fail(`pkg: Invalid page number. Valid range: 1-${totalPages || 1}`);
       }
 
       const start = (pageNumber - 1) * pageSize;
@@ -592,9 +647,7 @@ async function pkgCommand(userId, args) {
         }
       } else {
         // Check all downloads for this user
-        const activeUserDownloads = Array.from(activeDownloads.keys())
-          .filter((key) => key.startsWith(`${userId}:`))
-          .map((key) => key.split(":")[1]);
+        const activeUserDownloads = getActiveDownloads(userId);
 
         if (activeUserDownloads.length === 0) {
           return "No package downloads in progress";
@@ -605,7 +658,7 @@ async function pkgCommand(userId, args) {
     }
 
     default:
-      return 'pkg: Invalid subcommand. Use "install", "remove", "list", "search", "branches", "status", or "upgrade".';
+      return fail('pkg: Invalid subcommand. Use "install", "remove", "list", "search", "branches", "status", or "upgrade".');
   }
 }
 
@@ -623,8 +676,10 @@ module.exports = {
   processDownload,
   getDownloadStatus,
   setDownloadStatus,
+  getActiveDownloads,
   getUpdateSize,
   startUpdateDownload,
   PACKAGE_SIZES,
+  packageManuals,
   registerPackageCommands
 };
\ No newline at end of file
@@ -0,0 +1,62 @@
+/**
+ * Structured command results for the terminal
+ */
+
+/**
+ * Create a successful command result
+ * @param {string} stdout - Regular command output
+ * @returns {Object} - Result with stdout, stderr and exit code
+ */
+function ok(stdout = "") {
+  return { stdout, stderr: "", code: 0 };
+}
+
+/**
+ * Create a failed command result
+ * @param {string} stderr - Error message
+ * @param {number} code - Non-zero exit code
+ * @returns {Object} - Result with stdout, stderr and exit code
+ */
+function fail(stderr = "", code = 1) {
+  return { stdout: "", stderr, code };
+}
+
+/**
+ * Build a result from the output and error lines gathered over several operands
+ * @param {Array<string>} stdoutLines - Regular output lines
+ * @param {Array<string>} stderrLines - Error messages; any error makes the result fail
+ * @returns {Object} - Result with stdout, stderr and exit code
+ */
+function collect(stdoutLines, stderrLines) {
+  return { stdout: stdoutLines.join("\n"), stderr: stderrLines.join("\n"), code: stderrLines.length ? 1 : 0 };
+}
+
+/**
+ * Normalize whatever a command returned into a structured result
+ * Commands that still return a plain string are treated as having succeeded
+ * @param {Object|string|null} output - Command return value
+ * @returns {Object} - Result with stdout, stderr and exit code
+ */
+function toResult(output) {
+  if (output && typeof output === "object" && typeof output.code === "number") {
+    return { stdout: output.stdout || "", stderr: output.stderr || "", code: output.code };
+  }
+  return ok(output === null || output === undefined ? "" : String(output));
+}
+
+/**
+ * Combine a result's streams into the text shown in the terminal
+ * @param {Object} result - Command result
+ * @returns {string} - Display text
+ */
+function formatResult(result) {
+  return [result.stdout, result.stderr].filter(Boolean).join("\n");
+}
+
+module.exports = {
+  ok,
+  fail,
+  collect,
+  toResult,
+  formatResult,
+};
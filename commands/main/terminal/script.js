@@ -0,0 +1,220 @@
+/**
+ * Shell script interpreter for scripts stored in the virtual filesystem
+ *
+ * Scripts are split into statements and grouped into if/for/while blocks here,
+ * while every plain command line is handed back to the terminal's command handler.
+ */
+const { splitStatements } = require("./shell");
+
+// Maximum number of commands (including loop and if conditions) a script run may execute
+const MAX_SCRIPT_STEPS = 500;
+
+// Exit code of a script stopped because its background job was killed, as for SIGTERM
+const KILLED_EXIT_CODE = 143;
+
+// Maximum number of output lines a script run keeps
+const MAX_SCRIPT_OUTPUT_LINES = 200;
+
+// Words that open, continue or close a block
+const KEYWORDS = ["if", "then", "elif", "else", "fi", "for", "while", "do", "done"];
+
+// Thrown to unwind out of nested blocks on "exit" or when the step limit is hit
+class ScriptExit {
+  constructor(exitCode, message) {
+    this.exitCode = exitCode;
+    this.message = message;
+  }
+}
+
+/**
+ * Split a statement into its first word and the rest
+ * @param {string} statement - Script statement
+ * @returns {Object} - { keyword, rest } where keyword is null for plain commands
+ */
+function splitKeyword(statement) {
+  const match = statement.match(/^(\S+)\s*([\s\S]*)$/);
+  if (!match || !KEYWORDS.includes(match[1])) return { keyword: null, rest: statement };
+  return { keyword: match[1], rest: match[2] };
+}
+
+/**
+ * Parse statements into a tree of commands and if/for/while blocks
+ * @param {Array<string>} statements - Statements from splitStatements
+ * @returns {Object} - { body } on success or { error } on a syntax error
+ */
+function parseScript(statements) {
+  // Statements are consumed from a queue; keywords such as "then echo hi" put their trailing command back
+  const queue = [...statements];
+
+  const expect = (keyword) => {
+    const statement = queue.shift();
+    const parsed = statement === undefined ? { keyword: null } : splitKeyword(statement);
+    if (parsed.keyword !== keyword) {
+      throw new Error(`syntax error: expected \`${keyword}' but found \`${statement === undefined ? "end of file" : statement}'`);
+    }
+    if (parsed.rest) queue.unshift(parsed.rest);
+  };
+
+  const parseBlock = (terminators) => {
+    const body = [];
+
+    while (queue.length) {
+      const { keyword, rest } = splitKeyword(queue[0]);
+
+      if (terminators.includes(keyword)) {
+        queue.shift();
+        if (rest && keyword !== "elif") {
+          if (keyword === "else") queue.unshift(rest);
+          else throw new Error(`syntax error near unexpected text after \`${keyword}': ${rest}`);
+        }
+        return { body, terminator: keyword, rest };
+      }
+
+      queue.shift();
+
+      if (keyword === "if") {
+        const branches = [];
+        let condition = rest;
+        let elseBody = null;
+
+        while (true) {
+          expect("then");
+          const block = parseBlock(["elif", "else", "fi"]);
+          branches.push({ condition, body: block.body });
+
+          if (block.terminator === "elif") {
+            condition = block.rest;
+          } else if (block.terminator === "else") {
+            elseBody = parseBlock(["fi"]).body;
+            break;
+          } else {
+            break;
+          }
+        }
+
+        body.push({ type: "if", branches, elseBody });
+      } else if (keyword === "for") {
+        const match = rest.match(/^([A-Za-z_][A-Za-z0-9_]*)(\s+in(?:\s+([\s\S]*))?)?$/);
+        if (!match) throw new Error(`syntax error in for loop: for ${rest}`);
+
+        expect("do");
+        // Without "in", a for loop walks the script's arguments like "$@"
+        body.push({ type: "for", name: match[1], list: match[2] ? match[3] || "" : null, body: parseBlock(["done"]).body });
+      } else if (keyword === "while") {
+        expect("do");
+        body.push({ type: "while", condition: rest, body: parseBlock(["done"]).body });
+      } else if (keyword) {
+        throw new Error(`syntax error near unexpected token \`${keyword}'`);
+      } else {
+        body.push({ type: "command", text: rest });
+      }
+    }
+
+    if (terminators.length) {
+      throw new Error(`syntax error: unexpected end of file while looking for \`${terminators[terminators.length - 1]}'`);
+    }
+    return { body, terminator: null };
+  };
+
+  try {
+    return { body: parseBlock([]).body };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Run a script
+ * @param {string} source - Script source
+ * @param {Object} options - Run options
+ * @param {string} options.name - Script name, available as $0
+ * @param {Array<string>} options.args - Positional arguments, available as $1..$9, $# and $@
+ * @param {Object} options.budget - Step counter shared with nested scripts, { steps }, with killed set when a background job is killed
+ * @param {Object} [options.variables] - Caller's variables to run in, for sourced scripts; positional parameters are then left alone
+ * @param {Function} options.runLine - Runs one command line with the given variables, resolving to { output, code }
+ * @param {Function} options.expandWords - Expands a list of words with the given variables, resolving to { words } or { error }
+ * @returns {Promise<Object>} - { output, code } with the script's combined output and final exit code
+ */
+async function runScript(source, { name, args, budget, variables: callerVariables, runLine, expandWords }) {
+  const { body, error } = parseScript(splitStatements(source));
+  if (error) return { output: `${name}: ${error}`, code: 2 };
+
+  const variables = callerVariables || {
+    0: name,
+    "#": String(args.length),
+    "@": args.join(" "),
+  };
+  if (!callerVariables) {
+    args.slice(0, 9).forEach((arg, index) => {
+      variables[index + 1] = arg;
+    });
+  }
+
+  const outputs = [];
+  let code = 0;
+
+  const run = async (text) => {
+    budget.steps++;
+    if (budget.killed) throw new ScriptExit(KILLED_EXIT_CODE);
+    if (budget.steps > MAX_SCRIPT_STEPS) {
+      throw new ScriptExit(1, `${name}: Step limit of ${MAX_SCRIPT_STEPS} exceeded, script stopped`);
+    }
+
+    const exitMatch = text.match(/^exit(?:\s+(\S+))?\s*$/);
+    if (exitMatch) {
+      const exitCode = exitMatch[1] === undefined ? code : parseInt((await expandWords(exitMatch[1], variables)).words?.[0], 10);
+      throw new ScriptExit(isNaN(exitCode) ? 2 : exitCode);
+    }
+
+    const result = await runLine(text, variables);
+    if (result.output) outputs.push(result.output);
+    code = result.code;
+    return code;
+  };
+
+  const execute = async (nodes) => {
+    for (const node of nodes) {
+      if (node.type === "command") {
+        await run(node.text);
+      } else if (node.type === "if") {
+        let matched = false;
+        for (const branch of node.branches) {
+          if ((await run(branch.condition)) === 0) {
+            await execute(branch.body);
+            matched = true;
+            break;
+          }
+        }
+        if (!matched && node.elseBody) await execute(node.elseBody);
+      } else if (node.type === "for") {
+        const { words, error: listError } = node.list === null ? { words: args } : await expandWords(node.list, variables);
+        if (listError) throw new ScriptExit(2, `${name}: ${listError}`);
+
+        for (const word of words) {
+          variables[node.name] = word;
+          await execute(node.body);
+        }
+      } else if (node.type === "while") {
+        while ((await run(node.condition)) === 0) {
+          await execute(node.body);
+        }
+        code = 0;
+      }
+    }
+  };
+
+  try {
+    await execute(body);
+  } catch (exit) {
+    if (!(exit instanceof ScriptExit)) throw exit;
+    if (exit.message) outputs.push(exit.message);
+    code = exit.exitCode;
+  }
+
+  return { output: outputs.join("\n").split("\n").slice(-MAX_SCRIPT_OUTPUT_LINES).join("\n"), code };
+}
+
+module.exports = {
+  runScript,
+  MAX_SCRIPT_STEPS,
+};
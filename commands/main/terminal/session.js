@@ -0,0 +1,101 @@
+/**
+ * Per-user shell session state, kept in memory for the lifetime of the bot
+ */
+const { loadFilesystem } = require("./filesystem");
+const { tokenize, isAssignment, expandAssignment } = require("./shell");
+
+// Variables derived from the filesystem and session that can't be assigned, exported or unset
+const READONLY_VARIABLES = ["PWD", "HOME", "USER", "OS_VERSION", "BRANCH"];
+
+// Active sessions keyed by user ID
+const sessions = new Map();
+
+/**
+ * Get the shell session for a user, starting a new one if needed
+ * @param {string} userId - User ID
+ * @returns {Object} - Session state
+ */
+function getSession(userId) {
+  if (!sessions.has(userId)) {
+    sessions.set(userId, {
+      lastExitCode: 0,
+      // Shell variables set with NAME=value at the prompt
+      variables: {},
+      // Exported environment, loaded from /sys/os/.def-vars on first use
+      env: null,
+      // Discord username of the last interaction, used for $USER
+      username: null,
+      // Whether the login profile has run since the bot started
+      profileLoaded: false,
+      // Files queued by download, sent with the next terminal reply
+      attachments: [],
+      // File open in the sectioned editor: { userId, id, path, page, section } with the section being edited
+      editor: null,
+    });
+  }
+  return sessions.get(userId);
+}
+
+/**
+ * Parse the default environment file
+ *
+ * Each line is NAME=value, optionally prefixed with "export" or with "$" on the name
+ * as older files were written; values may be quoted and may refer to earlier variables.
+ * @param {string} content - Content of /sys/os/.def-vars
+ * @returns {Object} - Variables by name
+ */
+function parseDefaultVariables(content) {
+  const env = {};
+
+  for (const line of content.split("\n")) {
+    const { tokens } = tokenize(line.trim().replace(/^export\s+/, "").replace(/^\$/, ""));
+    if (!tokens || tokens.length !== 1 || !isAssignment(tokens[0])) continue;
+
+    const { name, value } = expandAssignment(tokens[0], env);
+    env[name] = value;
+  }
+
+  return env;
+}
+
+/**
+ * Get the exported environment of a user's session, loading the defaults on first use
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Environment variables by name
+ */
+async function getEnvironment(userId) {
+  const session = getSession(userId);
+
+  if (!session.env) {
+    const userFS = await loadFilesystem(userId);
+    const defVars = userFS.fs["/"].children.sys.children.os?.children[".def-vars"];
+    session.env = defVars ? parseDefaultVariables(defVars.content || "") : {};
+  }
+
+  return session.env;
+}
+
+/**
+ * Get the read-only variables derived from the filesystem and session
+ * @param {Object} userFS - User's filesystem
+ * @param {Object} session - User's session
+ * @returns {Object} - PWD, HOME, USER, OS_VERSION and BRANCH
+ */
+function getBuiltinVariables(userFS, session) {
+  const sysDir = userFS.fs["/"].children.sys;
+
+  return {
+    PWD: userFS.currentDir,
+    HOME: userFS.home || "/",
+    USER: session.username || "user",
+    OS_VERSION: sysDir.children.os_version?.content || "1.0.0",
+    BRANCH: sysDir.children.os_branch?.content || "stable",
+  };
+}
+
+module.exports = {
+  getSession,
+  getEnvironment,
+  getBuiltinVariables,
+  READONLY_VARIABLES,
+};
@@ -0,0 +1,361 @@
+/**
+ * Sharing files and directories between users
+ *
+ * Each user's shares are kept in the user_shares table as { shared, received }, the entries
+ * they've shared with others and those others have shared with them. What a user has received
+ * appears under /shared/<owner>/ in their filesystem: the mounted nodes are the owner's own,
+ * seen as owned by the "shared" user with only the granted access, and changes made through
+ * them are saved back to the owner's filesystem.
+ */
+const path = require("node:path");
+const { loadFromDB, saveToDB } = require("../../../db/utils");
+const { resolvePath, resolveLinks, getNodeAtPath, getMount, loadFilesystem, timestamps } = require("./filesystem");
+const { ROOT_UID, USER_UID, SHARED_UID, systemOwned, applyDefaultPermissions } = require("./permissions");
+const { ok, fail, collect } = require("./result");
+const { getSession } = require("./session");
+
+// Directory of the root that received shares are mounted in
+const SHARED_DIR = "/shared";
+
+// Access that may be granted; read also lets directories be listed and entered
+const ACCESS_LEVELS = ["read", "write"];
+
+// Mode bits a grant leaves of what the owner may do
+const ACCESS_MASKS = { read: 0o5, write: 0o7 };
+
+// Mounted nodes and their children by the views standing in for them, so views put back into a directory store the node itself
+const viewedNodes = new WeakMap();
+
+/**
+ * Load what a user has shared and received
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { shared, received }, with { path, userId, username, access, created } per share
+ */
+async function loadShares(userId) {
+  const shares = await loadFromDB("user_shares", userId, {});
+  return { shared: shares.shared || [], received: shares.received || [] };
+}
+
+/**
+ * Check whether two share entries stand for the same share, seen from the same side
+ * @param {Object} a - Share entry
+ * @param {Object} b - Share entry
+ * @returns {boolean} - Whether both have the same path and user
+ */
+function isSameShare(a, b) {
+  return a.userId === b.userId && a.path === b.path;
+}
+
+/**
+ * Mode a shared node is seen with: what its owner may do, limited to the granted access, for everyone
+ * @param {Object} node - Node in the owner's filesystem
+ * @param {string} access - "read" or "write"
+ * @returns {number} - Mode bits
+ */
+function sharedMode(node, access) {
+  const mode = node.mode ?? 0;
+  const own = node.owner === USER_UID ? mode >> 6 : node.group === USER_UID ? mode >> 3 : mode;
+  const granted = own & ACCESS_MASKS[access];
+  return (mode & ~0o777) | (granted << 6) | (granted << 3) | granted;
+}
+
+/**
+ * Get the view of a node of a mount, which shows its shared owner and mode and marks the mount changed on writes
+ * @param {Object} node - Node in the owner's filesystem
+ * @param {Object} mount - Mount the node is in
+ * @returns {Object} - View of the node, or the value itself when it isn't a node
+ */
+function viewNode(node, mount) {
+  if (!node || typeof node !== "object") return node;
+  if (mount.views.has(node)) return mount.views.get(node);
+
+  const view = new Proxy(node, {
+    get(target, key) {
+      if (key === "owner" || key === "group") return target[key] === ROOT_UID ? ROOT_UID : SHARED_UID;
+      if (key === "mode") return sharedMode(target, mount.access);
+      if (key === "children" && target.children) return viewChildren(target.children, mount);
+      return target[key];
+    },
+    set(target, key, value) {
+      // Ownership and modes stay as the owner set them, like chown and chmod on files of others
+      if (key === "owner" || key === "group" || key === "mode") return true;
+      target[key] = value;
+      // Reading alone doesn't save the owner's filesystem
+      if (key !== "accessed") mount.dirty = true;
+      return true;
+    },
+    deleteProperty(target, key) {
+      delete target[key];
+      mount.dirty = true;
+      return true;
+    },
+  });
+
+  mount.views.set(node, view);
+  viewedNodes.set(view, node);
+  return view;
+}
+
+/**
+ * Get the view of a mounted directory's children, whose entries are views too
+ * @param {Object} children - Children of a directory in the owner's filesystem
+ * @param {Object} mount - Mount the directory is in
+ * @returns {Object} - View of the children
+ */
+function viewChildren(children, mount) {
+  if (mount.views.has(children)) return mount.views.get(children);
+
+  const view = new Proxy(children, {
+    get(target, key) {
+      return typeof key === "string" && Object.hasOwn(target, key) ? viewNode(target[key], mount) : target[key];
+    },
+    set(target, key, value) {
+      target[key] = viewedNodes.get(value) || value;
+      mount.dirty = true;
+      return true;
+    },
+    deleteProperty(target, key) {
+      delete target[key];
+      mount.dirty = true;
+      return true;
+    },
+  });
+
+  mount.views.set(children, view);
+  return view;
+}
+
+/**
+ * Create a directory that's only there while the filesystem is loaded, and isn't saved with it
+ * @returns {Object} - Directory node
+ */
+function virtualDirectory() {
+  const directory = { type: "directory", children: {}, ...systemOwned("directory"), ...timestamps() };
+  Object.defineProperty(directory, "virtual", { value: true });
+  return directory;
+}
+
+/**
+ * Mount what others have shared with a user under /shared, and record the mounts as filesystem.mounts
+ *
+ * Shares whose file the owner has since moved or removed are left out.
+ * @param {string} userId - User ID
+ * @param {Object} filesystem - User's filesystem, updated in place
+ */
+async function mountShares(userId, filesystem) {
+  const { received } = await loadShares(userId);
+  const root = filesystem.fs["/"];
+  const owners = new Map();
+  const mounts = [];
+
+  for (const share of received) {
+    if (!owners.has(share.userId)) {
+      // Loaded without loadFilesystem, so the owner's own mounts aren't passed on
+      const ownerFS = await loadFromDB("user_filesystems", share.userId, null);
+      owners.set(share.userId, ownerFS && { id: share.userId, filesystem: applyDefaultPermissions(ownerFS) });
+    }
+    const owner = owners.get(share.userId);
+    const node = owner && getNodeAtPath(owner.filesystem, share.path, false);
+    if (!node) continue;
+
+    // A file of the user's own named /shared leaves nowhere to mount
+    root.children.shared ??= virtualDirectory();
+    const sharedDir = root.children.shared;
+    if (sharedDir.type !== "directory") break;
+
+    // Owners are told apart by name, or by ID when two have the same name
+    let ownerDir = owner.directory;
+    if (!ownerDir) {
+      owner.name = sharedDir.children[share.username] ? share.userId : share.username;
+      ownerDir = owner.directory = sharedDir.children[owner.name] ??= virtualDirectory();
+    }
+    const name = path.posix.basename(share.path);
+    if (ownerDir.type !== "directory" || ownerDir.children[name]) continue;
+
+    // The node stays the owner's own, which saving puts back into the owner's filesystem when the mount is dirty
+    const mount = { path: `${SHARED_DIR}/${owner.name}/${name}`, access: share.access, share, owner, node, dirty: false, views: new WeakMap() };
+    ownerDir.children[name] = viewNode(node, mount);
+    mounts.push(mount);
+  }
+
+  if (mounts.length) Object.defineProperty(filesystem, "mounts", { value: mounts });
+}
+
+/**
+ * Find a user from a mention, "@name" or ID
+ *
+ * Names are looked up among the members of the server the command came from, and among
+ * the users the bot has seen, which is all there is to go by in direct messages.
+ * @param {Object} interaction - Discord interaction the command came from
+ * @param {string} mention - "<@id>", "@name", "name" or "id"
+ * @returns {Promise<Object>} - { user } with the Discord user, or { error }
+ */
+async function findUser(interaction, mention) {
+  if (!interaction) return { error: "Users can't be looked up here" };
+
+  const id = mention.match(/^<@!?(\d+)>$/)?.[1] || (/^\d{15,}$/.test(mention) ? mention : null);
+  try {
+    if (id) return { user: await interaction.client.users.fetch(id) };
+
+    const name = mention.replace(/^@/, "").toLowerCase();
+    const members = await interaction.guild?.members.fetch({ query: name, limit: 10 });
+    const member = members?.find((candidate) => candidate.user.username.toLowerCase() === name);
+    if (member) return { user: member.user };
+
+    const known = interaction.client.users.cache.find((candidate) => candidate.username.toLowerCase() === name);
+    if (known) return { user: known };
+  } catch {
+    // Unknown IDs and failed lookups both leave the user not found
+  }
+  return { error: `${mention}: No such user` };
+}
+
+/**
+ * Tell a user something was shared with them, in their terminal and by direct message
+ * @param {Object} user - Discord user to notify
+ * @param {string} message - Notice
+ * @returns {Promise<boolean>} - Whether the direct message went through
+ */
+async function notify(user, message) {
+  // The terminal trims its history to the last lines on the next command
+  const histories = await loadFromDB("user_histories", user.id, []);
+  await saveToDB("user_histories", user.id, [...histories, message]);
+
+  try {
+    await user.send(message);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * List what a user has shared and received
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Command result
+ */
+async function listShares(userId) {
+  const { shared, received } = await loadShares(userId);
+  if (!shared.length && !received.length) return ok("Nothing is shared with or by you");
+
+  const userFS = await loadFilesystem(userId);
+  const lines = [];
+  if (shared.length) {
+    lines.push("Shared by you:", ...shared.map((share) => `  ${share.path} -> ${share.username} (${share.access})`));
+  }
+  if (received.length) {
+    const mountPath = (share) => (userFS.mounts || []).find((mount) => isSameShare(mount.share, share))?.path;
+    lines.push("Shared with you:", ...received.map((share) => `  ${mountPath(share) || `${share.path} (no longer there)`} from ${share.username} (${share.access})`));
+  }
+  return ok(lines.join("\n"));
+}
+
+/**
+ * Share a file or directory with another user, or list shares without arguments
+ * @param {Object} interaction - Discord interaction the command came from
+ * @param {string} userId - User ID
+ * @param {Array<string>} args - Path, user and access
+ * @returns {Promise<Object>} - Command result
+ */
+async function shareCommand(interaction, userId, args) {
+  if (!args.length) return listShares(userId);
+  if (args.length > 3 || args.length < 2) return fail("Usage: share [<path> <@user> [read|write]]");
+
+  const [target, mention, access = "read"] = args;
+  if (!ACCESS_LEVELS.includes(access)) return fail(`share: Invalid access '${access}', use read or write`);
+
+  const userFS = await loadFilesystem(userId);
+  const fullPath = resolvePath(userFS.currentDir, target, userFS.home);
+  const { path: realPath, error: linkError } = resolveLinks(userFS, fullPath);
+  if (linkError) return fail(`share: ${linkError}`);
+  const node = getNodeAtPath(userFS, realPath, false);
+  if (!node) return fail(`share: ${fullPath}: No such file or directory`);
+  // Only the user's own files can be shared, which leaves out system files and those shared with them
+  if (node.owner !== USER_UID) return fail(`share: ${fullPath}: Operation not permitted`);
+
+  const { user, error } = await findUser(interaction, mention);
+  if (error) return fail(`share: ${error}`);
+  if (user.id === userId) return fail("share: You can't share with yourself");
+  if (user.bot) return fail(`share: ${user.username} is a bot`);
+
+  const shares = await loadShares(userId);
+  const existing = shares.shared.find((share) => share.userId === user.id && share.path === realPath);
+  if (existing?.access === access) return fail(`share: ${realPath} is already shared with ${user.username} (${access})`);
+
+  // Shares from one owner appear side by side by name, so two of the same name can't go to the same user
+  const name = path.posix.basename(realPath);
+  const clash = shares.shared.find((share) => share.userId === user.id && share.path !== realPath && path.posix.basename(share.path) === name);
+  if (clash) return fail(`share: ${clash.path} is already shared with ${user.username} as ${name}`);
+
+  const username = getSession(userId).username || "user";
+  const created = Date.now();
+  const recipient = await loadShares(user.id);
+  shares.shared = [...shares.shared.filter((share) => share !== existing), { path: realPath, userId: user.id, username: user.username, access, created }];
+  recipient.received = [
+    ...recipient.received.filter((share) => share.userId !== userId || share.path !== realPath),
+    { path: realPath, userId, username, access, created },
+  ];
+  await saveToDB("user_shares", userId, shares);
+  await saveToDB("user_shares", user.id, recipient);
+
+  const granted = access === "write" ? "read and write" : "read only";
+  const notified = await notify(user, `${username} shared ${name} with you (${granted}), find it at ${SHARED_DIR}/${username}/${name}`);
+  return collect(
+    [`${existing ? "Changed" : "Shared"}: ${realPath} -> ${user.username} (${granted})`],
+    notified ? [] : [`share: Couldn't send ${user.username} a direct message, they'll see it in their terminal`]
+  );
+}
+
+/**
+ * Stop sharing a file or directory, with one user or everyone; on a path under /shared, drop a share received
+ * @param {Object} interaction - Discord interaction the command came from
+ * @param {string} userId - User ID
+ * @param {Array<string>} args - Path and optionally the user
+ * @returns {Promise<Object>} - Command result
+ */
+async function unshareCommand(interaction, userId, args) {
+  if (args.length < 1 || args.length > 2) return fail("Usage: unshare <path> [@user]");
+
+  const [target, mention] = args;
+  const userFS = await loadFilesystem(userId);
+  const fullPath = resolvePath(userFS.currentDir, target, userFS.home);
+  // The file may be gone already, which leaves its link unresolved
+  const realPath = resolveLinks(userFS, fullPath).path || fullPath;
+
+  const mount = (userFS.mounts || []).find((candidate) => candidate.path === realPath);
+  if (mount) {
+    const { userId: ownerId, path: sharedPath } = mount.share;
+    const received = await loadShares(userId);
+    received.received = received.received.filter((share) => !isSameShare(share, mount.share));
+    const owner = await loadShares(ownerId);
+    owner.shared = owner.shared.filter((share) => share.userId !== userId || share.path !== sharedPath);
+    await saveToDB("user_shares", userId, received);
+    await saveToDB("user_shares", ownerId, owner);
+    return ok(`Removed: ${realPath}`);
+  }
+  if (getMount(userFS, realPath)) return fail(`unshare: ${fullPath}: Only whole shares can be removed, such as ${getMount(userFS, realPath).path}`);
+
+  // Users are matched against the shares themselves, so no lookup is needed
+  const matchesUser = (share) => !mention || [share.userId, share.username, `@${share.username}`, `<@${share.userId}>`, `<@!${share.userId}>`].includes(mention);
+  const shares = await loadShares(userId);
+  const removed = shares.shared.filter((share) => share.path === realPath && matchesUser(share));
+  if (!removed.length) return fail(`unshare: ${fullPath}: Not shared${mention ? ` with ${mention}` : ""}`);
+
+  shares.shared = shares.shared.filter((share) => !removed.includes(share));
+  await saveToDB("user_shares", userId, shares);
+  for (const share of removed) {
+    const recipient = await loadShares(share.userId);
+    recipient.received = recipient.received.filter((received) => received.userId !== userId || received.path !== realPath);
+    await saveToDB("user_shares", share.userId, recipient);
+  }
+
+  return ok(removed.map((share) => `Unshared: ${realPath} -> ${share.username}`).join("\n"));
+}
+
+module.exports = {
+  SHARED_DIR,
+  loadShares,
+  mountShares,
+  shareCommand,
+  unshareCommand,
+};
@@ -0,0 +1,622 @@
+/**
+ * Shell parsing helpers for terminal command lines
+ */
+
+// Operators that redirect a command's input or output to a file
+const REDIRECT_OPERATORS = [">", ">>", "2>", "2>>", "<"];
+
+// A Discord mention such as <@123>, which is a word rather than a pair of redirects
+const MENTION_PATTERN = /^<@!?\d+>/;
+
+// Operators that join pipelines into a command list; "&" also runs the pipeline before it in the background
+const LIST_OPERATORS = ["&&", "||", ";", "&"];
+
+// Limits on user regular expressions, which run on the bot's only thread
+const MAX_PATTERN_LENGTH = 256;
+const MAX_MATCH_LINE_LENGTH = 4096;
+
+// A quantifier at the start of the text: *, +, ?, {n}, {n,} or {n,m}
+const QUANTIFIER_PATTERN = /^(?:[*+?]|\{\d+(?:,\d*)?\})/;
+
+/**
+ * Split a command line into words and operators, honouring quotes and escapes
+ *
+ * Each word keeps the segments it was built from so expansion can later skip
+ * the single-quoted and escaped parts.
+ * @param {string} input - Raw command line
+ * @returns {Object} - { tokens } on success or { error } on a syntax error
+ */
+function tokenize(input) {
+  const tokens = [];
+  let current = null;
+  let quote = null;
+
+  const startWord = () => {
+    current = current || { type: "word", value: "", quoted: false, segments: [] };
+    return current;
+  };
+
+  // Segment quote is "'" for literal text, '"' for double-quoted text and null for bare text
+  const append = (text, segmentQuote) => {
+    const word = startWord();
+    word.value += text;
+    const last = word.segments[word.segments.length - 1];
+    if (last && last.quote === segmentQuote) {
+      last.text += text;
+    } else {
+      word.segments.push({ text, quote: segmentQuote });
+    }
+  };
+
+  const pushWord = () => {
+    if (current) tokens.push(current);
+    current = null;
+  };
+
+  const pushOperator = (op) => {
+    pushWord();
+    tokens.push({ type: "op", value: op });
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    const next = input[i + 1];
+
+    if (quote) {
+      if (ch === quote) {
+        quote = null;
+      } else if (quote === '"' && ch === "\\" && /["\\$`]/.test(next || "")) {
+        append(input[++i], "'");
+      } else {
+        append(ch, quote);
+      }
+      continue;
+    }
+
+    if (ch === "#" && !current) {
+      // Comments run to the end of the line
+      while (i + 1 < input.length && input[i + 1] !== "\n") i++;
+    } else if (ch === "$" && input.startsWith("$((", i)) {
+      // Keep arithmetic expansions together even when they contain spaces
+      const end = input.indexOf("))", i);
+      if (end === -1) return { error: "syntax error: unexpected end of input while looking for matching `))'" };
+      append(input.slice(i, end + 2), null);
+      i = end + 1;
+    } else if (ch === "'" || ch === '"') {
+      startWord().quoted = true;
+      quote = ch;
+    } else if (ch === "\\" && i + 1 < input.length) {
+      append(input[++i], "'");
+    } else if (/\s/.test(ch)) {
+      pushWord();
+    } else if (ch === "|") {
+      pushOperator(next === "|" ? "||" : "|");
+      if (next === "|") i++;
+    } else if (ch === "&" && next === "&") {
+      pushOperator("&&");
+      i++;
+    } else if (ch === "&") {
+      pushOperator("&");
+    } else if (ch === ";") {
+      pushOperator(";");
+    } else if (ch === "<" && MENTION_PATTERN.test(input.slice(i))) {
+      const [mention] = input.slice(i).match(MENTION_PATTERN);
+      append(mention, "'");
+      i += mention.length - 1;
+    } else if (ch === ">" || ch === "<") {
+      // A bare "2" directly before ">" selects stderr instead of being an argument
+      let op = ch;
+      if (ch === ">" && current && !current.quoted && current.value === "2") {
+        op = "2>";
+        current = null;
+      }
+      if (ch === ">" && next === ">") {
+        op += ">";
+        i++;
+      }
+      pushOperator(op);
+    } else {
+      append(ch, null);
+    }
+  }
+
+  if (quote) {
+    return { error: `syntax error: unexpected end of input while looking for matching \`${quote}'` };
+  }
+
+  pushWord();
+  return { tokens };
+}
+
+/**
+ * Group tokens into pipeline stages separated by "|"
+ * @param {Array} tokens - Tokens of a single pipeline
+ * @returns {Object} - { stages } where each stage is { words, redirects }, or { error }
+ */
+function parseStages(tokens) {
+  const newStage = () => ({ words: [], redirects: [] });
+  const isEmpty = (stage) => stage.words.length === 0 && stage.redirects.length === 0;
+  const stages = [newStage()];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const stage = stages[stages.length - 1];
+
+    if (token.type === "word") {
+      stage.words.push(token);
+    } else if (token.value === "|") {
+      if (isEmpty(stage)) return { error: "syntax error near unexpected token `|'" };
+      stages.push(newStage());
+    } else if (REDIRECT_OPERATORS.includes(token.value)) {
+      const target = tokens[i + 1];
+      if (!target || target.type !== "word") {
+        return { error: `syntax error near unexpected token \`${target ? target.value : "newline"}'` };
+      }
+      stage.redirects.push({ op: token.value, target });
+      i++;
+    }
+  }
+
+  if (stages.length > 1 && isEmpty(stages[stages.length - 1])) {
+    return { error: "syntax error near unexpected token `|'" };
+  }
+
+  return { stages };
+}
+
+/**
+ * Replace aliased command names with the tokens of their alias value
+ *
+ * Only unquoted words in command position are expanded, and an alias is never
+ * expanded again inside its own value, so "alias ls='ls -a'" works as expected.
+ * @param {Array} tokens - Tokens from tokenize
+ * @param {Object} aliases - Alias values by name
+ * @param {Array<string>} expanding - Aliases already being expanded
+ * @returns {Array} - Tokens with aliases expanded
+ */
+function expandAliases(tokens, aliases, expanding = []) {
+  const result = [];
+  let commandPosition = true;
+  let redirectTarget = false;
+
+  for (const token of tokens) {
+    if (token.type === "op") {
+      result.push(token);
+      redirectTarget = REDIRECT_OPERATORS.includes(token.value);
+      if (!redirectTarget) commandPosition = true;
+      continue;
+    }
+
+    if (redirectTarget) {
+      result.push(token);
+      redirectTarget = false;
+      continue;
+    }
+
+    const name = token.value;
+    if (commandPosition && !token.quoted && Object.hasOwn(aliases, name) && !expanding.includes(name)) {
+      const { tokens: aliasTokens, error } = tokenize(aliases[name]);
+      if (!error) {
+        result.push(...expandAliases(aliasTokens, aliases, [...expanding, name]));
+        commandPosition = false;
+        continue;
+      }
+    }
+
+    result.push(token);
+    commandPosition = false;
+  }
+
+  return result;
+}
+
+/**
+ * Parse a command line into a list of pipelines joined by "&&", "||", ";" and "&"
+ * @param {string} input - Raw command line
+ * @param {Object} [aliases] - Aliases to expand in command position
+ * @returns {Object} - { commands } where each entry is { connector, stages, background }, or { error }
+ */
+function parseCommandLine(input, aliases = {}) {
+  const { tokens: rawTokens, error } = tokenize(input);
+  if (error) return { error };
+  const tokens = expandAliases(rawTokens, aliases);
+
+  const commands = [];
+  let connector = null;
+  let current = [];
+
+  for (const token of [...tokens, { type: "op", value: ";", implicit: true }]) {
+    if (token.type !== "op" || !LIST_OPERATORS.includes(token.value)) {
+      current.push(token);
+      continue;
+    }
+
+    if (current.length === 0) {
+      // An empty line and a trailing ";" are allowed, but every other operator needs a command on both sides
+      if (token.implicit && (connector === null || connector === ";")) break;
+      return { error: `syntax error near unexpected token \`${token.implicit ? "newline" : token.value}'` };
+    }
+
+    const { stages, error: stageError } = parseStages(current);
+    if (stageError) return { error: stageError };
+
+    // A pipeline ended by "&" runs in the background and the next one follows as if after ";"
+    const background = token.value === "&";
+    commands.push({ connector, stages, background });
+    connector = background ? ";" : token.value;
+    current = [];
+  }
+
+  return { commands };
+}
+
+/**
+ * Turn parsed pipeline stages back into a command line, e.g. for listing jobs
+ * @param {Array} stages - Pipeline stages from parseCommandLine
+ * @returns {string} - Command line with each word's quoting restored
+ */
+function formatCommand(stages) {
+  const formatWord = (word) => {
+    if (!word.segments.length) return "''";
+
+    return word.segments
+      .map(({ text, quote }) => {
+        if (quote === '"') return `"${text}"`;
+        if (quote === "'" && /[^\w./=:@%+,-]/.test(text)) return `'${text.replace(/'/g, "'\\''")}'`;
+        return text;
+      })
+      .join("");
+  };
+
+  return stages
+    .map(({ words, redirects }) => [...words.map(formatWord), ...redirects.map(({ op, target }) => `${op} ${formatWord(target)}`)].join(" "))
+    .join(" | ");
+}
+
+// Matches $NAME, ${NAME}, positional parameters and the special parameters $?, $# and $@
+const VARIABLE_PATTERN = /\$\(\((.*?)\)\)|\$\{([A-Za-z_][A-Za-z0-9_]*|[0-9]|[?#@])\}|\$([A-Za-z_][A-Za-z0-9_]*|[0-9?#@])/g;
+
+/**
+ * Expand variables and arithmetic in a piece of text
+ * @param {string} text - Text to expand
+ * @param {Object} variables - Variables by name, including special ones such as "?" (last exit code)
+ * @returns {string} - Expanded text, with unset variables expanding to nothing
+ */
+function expandVariables(text, variables) {
+  return text.replace(VARIABLE_PATTERN, (match, arithmetic, braced, bare) => {
+    if (arithmetic !== undefined) {
+      const value = evaluateArithmetic(arithmetic, variables);
+      return value === null ? match : String(value);
+    }
+    const value = variables[braced || bare];
+    return value === undefined || value === null ? "" : String(value);
+  });
+}
+
+/**
+ * Evaluate an integer arithmetic expression such as "i + 1" or "(a * 2) % 3"
+ * @param {string} expression - Expression inside $(( ))
+ * @param {Object} variables - Variables that may be referenced by name
+ * @returns {number|null} - Result, or null if the expression is invalid
+ */
+function evaluateArithmetic(expression, variables) {
+  const tokens = expandVariables(expression, variables)
+    .replace(/[A-Za-z_][A-Za-z0-9_]*/g, (name) => String(parseInt(variables[name], 10) || 0))
+    .match(/\d+|[-+*/%()]|\S/g) || [];
+  let pos = 0;
+
+  const parseFactor = () => {
+    const token = tokens[pos++];
+    if (token === "-") return -parseFactor();
+    if (token === "+") return parseFactor();
+    if (token === "(") {
+      const value = parseExpression();
+      if (tokens[pos++] !== ")") throw new Error("Missing )");
+      return value;
+    }
+    if (!/^\d+$/.test(token || "")) throw new Error(`Unexpected token ${token}`);
+    return parseInt(token, 10);
+  };
+
+  const parseTerm = () => {
+    let value = parseFactor();
+    while (["*", "/", "%"].includes(tokens[pos])) {
+      const op = tokens[pos++];
+      const right = parseFactor();
+      if (op !== "*" && right === 0) throw new Error("Division by zero");
+      value = op === "*" ? value * right : op === "/" ? Math.trunc(value / right) : value % right;
+    }
+    return value;
+  };
+
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (["+", "-"].includes(tokens[pos])) {
+      value = tokens[pos++] === "+" ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  };
+
+  try {
+    const value = parseExpression();
+    return pos === tokens.length ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Expand a word token into its final string value
+ * @param {Object} word - Word token from tokenize
+ * @param {Object} variables - Variables by name, including special ones such as "?" (last exit code)
+ * @returns {string} - Expanded word
+ */
+function expandWord(word, variables) {
+  return word.segments.map(({ text, quote }) => (quote === "'" ? text : expandVariables(text, variables))).join("");
+}
+
+/**
+ * Expand a word token into fields, splitting unquoted expansions on whitespace like a shell does
+ *
+ * When matchGlob is given, fields with unquoted "*", "?" or "[...]" are replaced by the
+ * paths they match; patterns without matches are kept as they are.
+ * @param {Object} word - Word token from tokenize
+ * @param {Object} variables - Variables by name, including special ones such as "?" (last exit code)
+ * @param {Function} [matchGlob] - Returns the paths matching a glob pattern
+ * @returns {Array<string>} - Resulting fields; empty when an unquoted expansion produced nothing
+ */
+function expandWordFields(word, variables, matchGlob = null) {
+  const fields = [];
+  let current = null;
+
+  const add = (text, quoted) => {
+    current = current || { value: "", pattern: "", glob: false };
+    current.value += text;
+    current.pattern += quoted ? escapeGlob(text) : text;
+    if (!quoted && /[*?[]/.test(text)) current.glob = true;
+  };
+
+  for (const { text, quote } of word.segments) {
+    if (quote !== null) {
+      add(quote === "'" ? text : expandVariables(text, variables), true);
+      continue;
+    }
+
+    expandVariables(text, variables)
+      .split(/\s+/)
+      .forEach((part, index) => {
+        if (index > 0 && current) {
+          fields.push(current);
+          current = null;
+        }
+        if (part) add(part, false);
+      });
+  }
+
+  if (current) fields.push(current);
+  if (!fields.length && word.quoted) return [""];
+
+  return fields.flatMap((field) => {
+    if (!field.glob || !matchGlob) return [field.value];
+    const matches = matchGlob(field.pattern);
+    return matches.length ? matches : [field.value];
+  });
+}
+
+/**
+ * Escape glob wildcards so text matches literally
+ * @param {string} text - Literal text
+ * @returns {string} - Text with "*", "?", "[", "]" and "\" escaped
+ */
+function escapeGlob(text) {
+  return text.replace(/[\\*?[\]]/g, "\\$&");
+}
+
+/**
+ * Check whether a glob pattern has any unescaped wildcards
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean}
+ */
+function hasGlobWildcards(pattern) {
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern[i] === "\\") i++;
+    else if ("*?[".includes(pattern[i])) return true;
+  }
+  return false;
+}
+
+/**
+ * Remove the escapes from a glob pattern without wildcards
+ * @param {string} pattern - Glob pattern
+ * @returns {string} - Literal text
+ */
+function unescapeGlob(pattern) {
+  return pattern.replace(/\\(.)/g, "$1");
+}
+
+/**
+ * Convert a single-segment glob pattern into a regular expression
+ * @param {string} pattern - Glob pattern with "*", "?" and "[...]" wildcards
+ * @returns {RegExp} - Expression matching whole names
+ */
+function globToRegExp(pattern) {
+  const escapeRegExp = (ch) => ch.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+  let source = "";
+
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+
+    if (ch === "\\" && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[++i]);
+    } else if (ch === "*") {
+      source += ".*";
+    } else if (ch === "?") {
+      source += ".";
+    } else if (ch === "[") {
+      // A "]" right after "[" or "[!" is part of the set rather than its end
+      const start = pattern[i + 1] === "!" || pattern[i + 1] === "^" ? i + 2 : i + 1;
+      const end = pattern.indexOf("]", start + 1);
+      if (end === -1) {
+        source += "\\[";
+        continue;
+      }
+
+      const negated = start === i + 2;
+      const set = pattern.slice(start, end).replace(/\\/g, "\\\\").replace(/]/g, "\\]");
+      source += `[${negated ? "^" : ""}${set}]`;
+      i = end;
+    } else {
+      source += escapeRegExp(ch);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Compile a user's regular expression, refusing patterns that could backtrack for too long
+ *
+ * A group holding a quantifier that is itself repeated, as in "(a+)+$", takes exponential
+ * time on a line that almost matches, so it is rejected before it can stall the bot.
+ * @param {string} source - Pattern
+ * @param {string} [flags] - Regular expression flags
+ * @returns {Object} - { regex } or { error }
+ */
+function compileRegExp(source, flags = "") {
+  if (source.length > MAX_PATTERN_LENGTH) return { error: `Pattern longer than ${MAX_PATTERN_LENGTH} characters` };
+
+  // One entry per open group, noting whether anything inside it is quantified
+  const groups = [{ quantified: false }];
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+
+    if (ch === "\\") {
+      i++;
+    } else if (ch === "[") {
+      // Quantifiers and parentheses inside a character class are literal
+      for (i++; i < source.length && source[i] !== "]"; i++) {
+        if (source[i] === "\\") i++;
+      }
+    } else if (ch === "(") {
+      groups.push({ quantified: false });
+      // Skip the "?:", "?=", "?!", "?<=", "?<!" or "?<name>" that follows so its "?" isn't a quantifier
+      i += source.slice(i + 1).match(/^(?:\?(?:<?[=!]|<[^>]*>|:))?/)[0].length;
+    } else if (ch === ")") {
+      const group = groups.length > 1 ? groups.pop() : { quantified: false };
+      const quantifier = source.slice(i + 1).match(QUANTIFIER_PATTERN)?.[0];
+      if (group.quantified && quantifier && quantifier !== "?") {
+        return { error: `Nested quantifiers are not supported: ${source}` };
+      }
+      if (group.quantified) groups[groups.length - 1].quantified = true;
+    } else if (QUANTIFIER_PATTERN.test(source.slice(i))) {
+      groups[groups.length - 1].quantified = true;
+    }
+  }
+
+  try {
+    return { regex: new RegExp(source, flags) };
+  } catch {
+    return { error: `Invalid pattern: ${source}` };
+  }
+}
+
+/**
+ * Tokenize and expand a list of words, e.g. the list of a "for" loop
+ * @param {string} text - Raw words
+ * @param {Object} variables - Variables by name
+ * @param {Function} [matchGlob] - Returns the paths matching a glob pattern
+ * @returns {Object} - { words } with the expanded strings, or { error }
+ */
+function expandWords(text, variables, matchGlob = null) {
+  const { tokens, error } = tokenize(text);
+  if (error) return { error };
+
+  const operator = tokens.find((token) => token.type !== "word");
+  if (operator) return { error: `syntax error near unexpected token \`${operator.value}'` };
+
+  return { words: tokens.flatMap((token) => expandWordFields(token, variables, matchGlob)) };
+}
+
+/**
+ * Check whether a word is a variable assignment such as NAME=value
+ * @param {Object} word - Word token from tokenize
+ * @returns {boolean}
+ */
+function isAssignment(word) {
+  const first = word.segments[0];
+  return Boolean(first && first.quote === null && /^[A-Za-z_][A-Za-z0-9_]*=/.test(first.text));
+}
+
+/**
+ * Split a variable assignment word into its name and expanded value
+ * @param {Object} word - Word token for which isAssignment is true
+ * @param {Object} variables - Variables available for expanding the value
+ * @returns {Object} - { name, value }
+ */
+function expandAssignment(word, variables) {
+  const expanded = expandWord(word, variables);
+  const name = word.segments[0].text.slice(0, word.segments[0].text.indexOf("="));
+  return { name, value: expanded.slice(name.length + 1) };
+}
+
+/**
+ * Split script source into statements on newlines and unquoted ";", dropping comments
+ * @param {string} source - Script source
+ * @returns {Array<string>} - Non-empty statements in order
+ */
+function splitStatements(source) {
+  const statements = [];
+  let current = "";
+  let quote = null;
+
+  const pushStatement = () => {
+    if (current.trim()) statements.push(current.trim());
+    current = "";
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+
+    if (quote) {
+      if (ch === quote) quote = null;
+      if (quote === '"' && ch === "\\" && i + 1 < source.length) {
+        current += ch + source[++i];
+      } else {
+        current += ch;
+      }
+    } else if (ch === "\\" && i + 1 < source.length) {
+      current += ch + source[++i];
+    } else if (ch === "'" || ch === '"') {
+      quote = ch;
+      current += ch;
+    } else if (ch === "#" && (!current || /\s$/.test(current))) {
+      while (i + 1 < source.length && source[i + 1] !== "\n") i++;
+    } else if (ch === "\n" || (ch === ";" && source[i + 1] !== ";")) {
+      pushStatement();
+    } else {
+      current += ch;
+    }
+  }
+
+  pushStatement();
+  return statements;
+}
+
+module.exports = {
+  tokenize,
+  parseCommandLine,
+  formatCommand,
+  expandVariables,
+  expandWord,
+  expandWordFields,
+  expandWords,
+  hasGlobWildcards,
+  unescapeGlob,
+  globToRegExp,
+  MAX_MATCH_LINE_LENGTH,
+  compileRegExp,
+  isAssignment,
+  expandAssignment,
+  splitStatements,
+};
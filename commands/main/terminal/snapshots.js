@@ -0,0 +1,131 @@
+/**
+ * Point-in-time copies of a user's filesystem that can be compared against and restored
+ *
+ * Each user's snapshots are kept oldest first in the user_snapshots table, each holding a
+ * full copy of the filesystem document as stored in user_filesystems.
+ */
+const { loadFromDB, saveToDB } = require("../../../db/utils");
+const { withoutMounts } = require("./filesystem");
+
+// Snapshots kept per user; creating one more drops the oldest
+const MAX_SNAPSHOTS = Number(process.env.MAX_SNAPSHOTS) || 5;
+
+// Snapshots the system takes, such as before pkg upgrade, kept apart from the user's so they never push those out
+const MAX_AUTOMATIC_SNAPSHOTS = 2;
+
+// Names a snapshot may have, so they're easy to type as arguments
+const SNAPSHOT_NAME_PATTERN = /^[\w.-]{1,32}$/;
+
+/**
+ * Load a user's snapshots
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} - { name, created, automatic, filesystem } per snapshot, oldest first
+ */
+async function loadSnapshots(userId) {
+  return loadFromDB("user_snapshots", userId, []);
+}
+
+/**
+ * Find a snapshot by name
+ * @param {string} userId - User ID
+ * @param {string} name - Snapshot name
+ * @returns {Promise<Object>} - { snapshot } or { error }
+ */
+async function findSnapshot(userId, name) {
+  const snapshot = (await loadSnapshots(userId)).find((candidate) => candidate.name === name);
+  return snapshot ? { snapshot } : { error: `${name}: No such snapshot` };
+}
+
+/**
+ * Store a copy of a filesystem as a new snapshot, dropping the oldest ones of its kind past MAX_SNAPSHOTS,
+ * or MAX_AUTOMATIC_SNAPSHOTS for those the system takes
+ * @param {string} userId - User ID
+ * @param {Object} filesystem - User's filesystem
+ * @param {string} name - Snapshot name
+ * @param {boolean} [automatic] - Whether the system took the snapshot rather than the user; these replace an automatic one of the same name
+ * @returns {Promise<Object>} - { snapshot, dropped } with the names of the snapshots removed to make room or replaced, or { error }
+ */
+async function createSnapshot(userId, filesystem, name, automatic = false) {
+  if (!SNAPSHOT_NAME_PATTERN.test(name)) {
+    return { error: `${name}: Invalid snapshot name, use up to 32 letters, digits, ".", "-" or "_"` };
+  }
+
+  let snapshots = await loadSnapshots(userId);
+  const existing = snapshots.find((snapshot) => snapshot.name === name);
+  // Snapshots the user took are only ever removed by the user
+  if (existing && !(automatic && existing.automatic)) return { error: `${name}: Snapshot already exists` };
+
+  const snapshot = { name, created: Date.now(), automatic, filesystem: JSON.parse(JSON.stringify(withoutMounts(filesystem))) };
+  snapshots.push(snapshot);
+
+  const sameKind = snapshots.filter((candidate) => candidate !== existing && Boolean(candidate.automatic) === automatic);
+  const removed = [...(existing ? [existing] : []), ...sameKind.slice(0, Math.max(0, sameKind.length - (automatic ? MAX_AUTOMATIC_SNAPSHOTS : MAX_SNAPSHOTS)))];
+  snapshots = snapshots.filter((candidate) => !removed.includes(candidate));
+
+  await saveToDB("user_snapshots", userId, snapshots);
+  return { snapshot, dropped: removed.map((old) => old.name) };
+}
+
+/**
+ * Delete a snapshot
+ * @param {string} userId - User ID
+ * @param {string} name - Snapshot name
+ * @returns {Promise<Object>} - Empty object on success or { error }
+ */
+async function deleteSnapshot(userId, name) {
+  const snapshots = await loadSnapshots(userId);
+  const remaining = snapshots.filter((snapshot) => snapshot.name !== name);
+  if (remaining.length === snapshots.length) return { error: `${name}: No such snapshot` };
+
+  await saveToDB("user_snapshots", userId, remaining);
+  return {};
+}
+
+/**
+ * List every node of a filesystem by absolute path, without following links or checking permissions
+ * @param {Object} node - Node to start from
+ * @param {string} path - Absolute path of the node
+ * @param {Map<string, Object>} [nodes] - Collects the nodes
+ * @returns {Map<string, Object>} - Nodes by path
+ */
+function flattenTree(node, path = "/", nodes = new Map()) {
+  nodes.set(path, node);
+  if (node.type === "directory") {
+    for (const [name, child] of Object.entries(node.children)) flattenTree(child, path === "/" ? `/${name}` : `${path}/${name}`, nodes);
+  }
+  return nodes;
+}
+
+/**
+ * Compare a snapshot's filesystem with the current one, leaving out what others share, which snapshots don't hold
+ * @param {Object} before - Filesystem in the snapshot
+ * @param {Object} after - Current filesystem
+ * @returns {Array<string>} - Sorted "A path" for added, "D path" for deleted and "M path" for changed nodes
+ */
+function diffFilesystems(before, after) {
+  const oldNodes = flattenTree(before.fs["/"]);
+  const newNodes = flattenTree(withoutMounts(after).fs["/"]);
+  const changes = [];
+
+  for (const [path, node] of newNodes) {
+    const old = oldNodes.get(path);
+    if (!old) changes.push({ path, status: "A" });
+    else if (old.type !== node.type || old.content !== node.content || old.target !== node.target || old.mode !== node.mode || old.owner !== node.owner || old.group !== node.group) {
+      changes.push({ path, status: "M" });
+    }
+  }
+  for (const path of oldNodes.keys()) {
+    if (!newNodes.has(path)) changes.push({ path, status: "D" });
+  }
+
+  return changes.sort((a, b) => a.path.localeCompare(b.path)).map(({ path, status }) => `${status} ${path}`);
+}
+
+module.exports = {
+  MAX_SNAPSHOTS,
+  loadSnapshots,
+  findSnapshot,
+  createSnapshot,
+  deleteSnapshot,
+  diffFilesystems,
+};
@@ -0,0 +1,232 @@
+/**
+ * Shared helpers for the text-processing packages: head, tail, wc, sort, uniq, cut and diff
+ */
+const { resolvePath, readFile, loadFilesystem, saveFilesystem } = require("./filesystem");
+
+// Edits diff looks for before giving up on a minimal diff and replacing the differing lines wholesale
+const MAX_DIFF_EDITS = 1000;
+
+// Unchanged lines diff shows around each change
+const DIFF_CONTEXT = 3;
+
+/**
+ * Parse a command's options, which may be combined ("-rn") and take values attached or separately ("-n5", "-n 5")
+ * @param {string} command - Command name, used in error messages
+ * @param {Array<string>} args - Command arguments
+ * @param {string} flags - Letters of the options without values
+ * @param {string} [valued] - Letters of the options that take a value
+ * @returns {Object} - { flags, values, operands } with a Set of flags and values by letter, or { error }
+ */
+function parseOptions(command, args, flags, valued = "") {
+  const result = { flags: new Set(), values: {}, operands: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--") {
+      result.operands.push(...args.slice(i + 1));
+      break;
+    }
+    // A lone "-" means piped input, like in coreutils
+    if (!arg.startsWith("-") || arg === "-") {
+      result.operands.push(arg);
+      continue;
+    }
+
+    for (let j = 1; j < arg.length; j++) {
+      const flag = arg[j];
+      if (valued.includes(flag)) {
+        const value = arg.slice(j + 1) || args[++i];
+        if (value === undefined) return { error: `${command}: Option -${flag} requires a value` };
+        result.values[flag] = value;
+        break;
+      }
+      if (!flags.includes(flag)) return { error: `${command}: Invalid option: -${flag}` };
+      result.flags.add(flag);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Read the files a command works on, or its piped input when no file or "-" is given
+ * @param {string} userId - User ID
+ * @param {string} command - Command name, used in error messages
+ * @param {Array<string>} files - File arguments
+ * @param {string} [stdin] - Output of the previous pipeline stage, if any
+ * @returns {Promise<Object>} - { inputs, errors } with { name, content } for each text input that could be read
+ */
+async function readInputs(userId, command, files, stdin) {
+  if (!files.length) {
+    if (stdin === undefined) return { inputs: [], errors: [`${command}: Missing filename`] };
+    return { inputs: [{ name: "-", content: stdin }], errors: [] };
+  }
+
+  const userFS = await loadFilesystem(userId);
+  const inputs = [];
+  const errors = [];
+
+  for (const file of files) {
+    if (file === "-") {
+      inputs.push({ name: "-", content: stdin ?? "" });
+      continue;
+    }
+
+    const { content, binary, error } = readFile(userFS, resolvePath(userFS.currentDir, file, userFS.home));
+    if (error) errors.push(`${command}: ${error}`);
+    // Archives and other binary files would only come out garbled as text, as with cat
+    else if (binary) errors.push(`${command}: ${file}: Binary file, use download to get it`);
+    else inputs.push({ name: file, content });
+  }
+
+  // Keep the access times readFile updated
+  await saveFilesystem(userId, userFS);
+  return { inputs, errors };
+}
+
+/**
+ * Split text into lines, ignoring the newline that ends the last one
+ * @param {string} content - Text
+ * @returns {Array<string>} - Lines, none for empty text
+ */
+function splitLines(content) {
+  return content ? content.replace(/\n$/, "").split("\n") : [];
+}
+
+/**
+ * Find the shortest series of edits turning one list of lines into another, with Myers' algorithm
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<Object>|null} - { type, line } with type " ", "-" or "+", or null past MAX_DIFF_EDITS
+ */
+function findEdits(a, b) {
+  const max = Math.min(a.length + b.length, MAX_DIFF_EDITS);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= a.length && y >= b.length) return backtrackEdits(trace, offset, a, b);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Walk back through the paths findEdits explored to list the edits in order
+ * @param {Array<Int32Array>} trace - Furthest x reached on each diagonal, before each number of edits
+ * @param {number} offset - Index of diagonal 0
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<Object>} - { type, line } with type " ", "-" or "+"
+ */
+function backtrackEdits(trace, offset, a, b) {
+  const edits = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? k + 1 : k - 1;
+    const prevX = v[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      edits.push({ type: " ", line: a[x] });
+    }
+    if (d > 0) edits.push(x === prevX ? { type: "+", line: b[prevY] } : { type: "-", line: a[prevX] });
+    x = prevX;
+    y = prevY;
+  }
+
+  return edits.reverse();
+}
+
+/**
+ * Compare two texts line by line in unified diff format
+ * @param {string} oldName - Name shown for the old text
+ * @param {string} oldContent - Old text
+ * @param {string} newName - Name shown for the new text
+ * @param {string} newContent - New text
+ * @returns {string} - Unified diff, empty when the texts have the same lines
+ */
+function unifiedDiff(oldName, oldContent, newName, newContent) {
+  const a = splitLines(oldContent);
+  const b = splitLines(newContent);
+
+  // Lines both texts start and end with are left out of the search, which keeps it small for typical edits
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const oldMiddle = a.slice(prefix, a.length - suffix);
+  const newMiddle = b.slice(prefix, b.length - suffix);
+  const middle = findEdits(oldMiddle, newMiddle) || [
+    ...oldMiddle.map((line) => ({ type: "-", line })),
+    ...newMiddle.map((line) => ({ type: "+", line })),
+  ];
+
+  const edits = [
+    ...a.slice(0, prefix).map((line) => ({ type: " ", line })),
+    ...middle,
+    ...a.slice(a.length - suffix).map((line) => ({ type: " ", line })),
+  ];
+  if (edits.every((edit) => edit.type === " ")) return "";
+
+  // Line numbers in each text where every edit starts
+  const positions = [];
+  let oldLine = 0;
+  let newLine = 0;
+  for (const edit of edits) {
+    positions.push({ old: oldLine, new: newLine });
+    if (edit.type !== "+") oldLine++;
+    if (edit.type !== "-") newLine++;
+  }
+  positions.push({ old: oldLine, new: newLine });
+
+  // Changes closer together than twice the context share a hunk
+  const hunks = [];
+  edits.forEach((edit, index) => {
+    if (edit.type === " ") return;
+    const start = Math.max(0, index - DIFF_CONTEXT);
+    const end = Math.min(edits.length, index + DIFF_CONTEXT + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) last.end = end;
+    else hunks.push({ start, end });
+  });
+
+  const range = (start, count) => (count === 1 ? `${start + 1}` : `${count ? start + 1 : start},${count}`);
+  const lines = [`--- ${oldName}`, `+++ ${newName}`];
+
+  for (const { start, end } of hunks) {
+    const from = positions[start];
+    const to = positions[end];
+    lines.push(`@@ -${range(from.old, to.old - from.old)} +${range(from.new, to.new - from.new)} @@`);
+    lines.push(...edits.slice(start, end).map((edit) => `${edit.type}${edit.line}`));
+  }
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  parseOptions,
+  readInputs,
+  splitLines,
+  unifiedDiff,
+};
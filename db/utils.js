@@ -20,6 +20,24 @@ export function initDB() {
             config TEXT
         )
     `);
+    db.run(`
+        CREATE TABLE IF NOT EXISTS user_command_histories (
+            user_id TEXT PRIMARY KEY,
+            commands TEXT
+        )
+    `);
+    db.run(`
+        CREATE TABLE IF NOT EXISTS user_snapshots (
+            user_id TEXT PRIMARY KEY,
+            snapshots TEXT
+        )
+    `);
+    db.run(`
+        CREATE TABLE IF NOT EXISTS user_shares (
+            user_id TEXT PRIMARY KEY,
+            shares TEXT
+        )
+    `);
 }
 
 export async function loadFromDB(table, userId, defaultValue = {}) {
@@ -37,6 +55,12 @@ export async function loadFromDB(table, userId, defaultValue = {}) {
             return JSON.parse(row.filesystem || '{}');
         } else if (table === 'user_network_configs') {
             return JSON.parse(row.config || '{}');
+        } else if (table === 'user_command_histories') {
+            return JSON.parse(row.commands || '{}');
+        } else if (table === 'user_snapshots') {
+            return JSON.parse(row.snapshots || '[]');
+        } else if (table === 'user_shares') {
+            return JSON.parse(row.shares || '{}');
         }
     } catch (error) {
         console.error("JSON parse error in loadFromDB:", error);
@@ -56,6 +80,12 @@ export async function saveToDB(table, userId, data) {
         columnName = 'filesystem';
     } else if (table === 'user_network_configs') {
         columnName = 'config';
+    } else if (table === 'user_command_histories') {
+        columnName = 'commands';
+    } else if (table === 'user_snapshots') {
+        columnName = 'snapshots';
+    } else if (table === 'user_shares') {
+        columnName = 'shares';
     } else {
         throw new Error(`Unknown table: ${table}`);
     }